@@ -1,6 +1,6 @@
 /**
  * TaxTrack NG - Frontend JS (Live Backend Integrated)
- * Handles authentication, transactions, receipts, CSV upload, and settings
+ * Handles authentication, transactions, receipts, CSV upload, PAYE, and settings
  */
 
 // ============================================
@@ -10,25 +10,177 @@ const STORAGE_KEYS = {
   USER_LOGGED_IN: 'taxtrack_loggedIn',
   USER_DATA: 'taxtrack_userData',
   TRANSACTIONS: 'taxtrack_transactions',
-  SETTINGS: 'taxtrack_settings'
+  SYNC_QUEUE: 'taxtrack_syncQueue',
+  RECEIPTS: 'taxtrack_receipts',
+  CSV_PRESETS: 'taxtrack_csvPresets',
+  EXCHANGE_RATES: 'taxtrack_exchangeRates',
+  SETTINGS: 'taxtrack_settings',
+  LAST_ACTIVITY: 'taxtrack_lastActivity',
+  AUTH_NOTICE: 'taxtrack_authNotice',
+  FILINGS: 'taxtrack_filings',
+  PAYROLL: 'taxtrack_payroll',
+  NOTIFICATIONS: 'taxtrack_notifications',
+  ALERTS: 'taxtrack_alerts',
+  // sessionStorage: the in-flight social sign-in for this tab
+  OAUTH_PENDING: 'taxtrack_oauthPending'
 };
 
+// Kept per account under "<key>:<email>" (see readOwned())
+const OWNED_STORAGE_KEYS = [
+  STORAGE_KEYS.TRANSACTIONS, STORAGE_KEYS.SYNC_QUEUE, STORAGE_KEYS.RECEIPTS, STORAGE_KEYS.FILINGS,
+  STORAGE_KEYS.PAYROLL, STORAGE_KEYS.NOTIFICATIONS, STORAGE_KEYS.ALERTS
+];
+
 // ============================================
 // Default Settings
 // ============================================
 const DEFAULT_SETTINGS = {
+  // Display currency; amounts are stored in Naira and converted for display
   currency: 'NGN',
   financialYearStart: '01',
   emailNotifications: true,
   weeklyReports: true,
-  theme: 'dark'
+  theme: 'dark',
+  // Minutes without activity before auto-logout; 0 turns it off
+  idleTimeout: 30,
+  // Show every calculator and relief, not just those for the employment type
+  showAllCalculators: false,
+  // Whether amounts entered for VAT and consumption tax already include it
+  vatInclusive: false,
+  // Consumption tax percentage for states without a rule in tax-rules.js
+  consumptionRate: null
 };
 
+// ============================================
+// Transaction Model
+// ============================================
+// `amount` mirrors `taxAmount` so older readers of the ledger keep working.
+// Amounts are in Naira; a foreign-currency entry also keeps `currency`,
+// `originalAmount` (its base amount in that currency) and `exchangeRate`.
+const TRANSACTION_SCHEMA_VERSION = 3;
+const TRANSACTION_SOURCES = ['manual', 'CSV', 'OCR', 'PAYE', 'Payslip'];
+// TAX_TYPES then LEDGER_TYPES from tax-aggregates.js, which not every page loads
+const TRANSACTION_TYPES = ['PAYE', 'VAT', 'Consumption', 'Income', 'Expense'];
+const TRANSACTION_CATEGORIES = [
+  'Salary',
+  'Groceries',
+  'Food & Drinks',
+  'Transport',
+  'Utilities',
+  'Office Supplies',
+  'Electronics',
+  'Rent',
+  'Professional Services',
+  'Other'
+];
+
 // ============================================
 // Backend URL
 // ============================================
 const API_BASE = "https://taxtrack-backend.onrender.com";
 
+// ============================================
+// Session
+// ============================================
+const SESSION_CONFIG = {
+  // Refresh the token this long before it expires
+  refreshMarginMs: 2 * 60 * 1000,
+  idleCheckMs: 30 * 1000,
+  // Activity is written to storage at most this often
+  activityThrottleMs: 15 * 1000,
+  activityEvents: ['click', 'keydown', 'mousemove', 'scroll', 'touchstart']
+};
+
+// ============================================
+// Social Sign-in (OIDC)
+// ============================================
+// Client IDs live on the backend, which builds the provider URL and does
+// the code exchange.
+const OAUTH_PROVIDERS = {
+  google: { name: 'Google' },
+  microsoft: { name: 'Microsoft' }
+};
+const OAUTH_CALLBACK_PAGE = 'oauth-callback.html';
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function randomUrlSafe(byteLength = 32) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// RFC 7636 S256: base64url(SHA-256(verifier))
+async function pkceChallenge(verifier) {
+  return base64UrlEncode(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+}
+
+// ============================================
+// Notifications
+// ============================================
+const NOTIFICATION_CONFIG = {
+  // Deadlines listed in the notification centre
+  lookbackDays: 90,
+  lookaheadDays: 45,
+  digestIntervalDays: 7,
+  digestLookaheadDays: 14,
+  maxMessages: 20,
+  checkIntervalMs: 60 * 60 * 1000,
+  serviceWorker: 'sw.js'
+};
+
+// ============================================
+// Sync Queue
+// ============================================
+const SYNC_CONFIG = {
+  maxAttempts: 6,
+  baseDelayMs: 2000,
+  maxDelayMs: 5 * 60 * 1000
+};
+
+// ============================================
+// IndexedDB Helpers
+// ============================================
+// Binary payloads (queued uploads, receipt images) don't fit in localStorage.
+const IDB_NAME = 'taxtrack';
+const IDB_VERSION = 2;
+const IDB_STORES = {
+  UPLOADS: 'pendingUploads',
+  RECEIPTS: 'receiptFiles'
+};
+// Receipt ids are generateId() strings or server ObjectIds; anything else
+// from the server is not a receipt of ours
+const RECEIPT_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const isReceiptId = (id) => typeof id === 'string' && RECEIPT_ID.test(id);
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(IDB_STORES).forEach(name => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function idbRequest(storeName, mode, run) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = run(tx.objectStore(storeName));
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+}
+
+const idbGet = (store, key) => idbRequest(store, 'readonly', s => s.get(key));
+const idbPut = (store, key, value) => idbRequest(store, 'readwrite', s => s.put(value, key));
+const idbDelete = (store, key) => idbRequest(store, 'readwrite', s => s.delete(key));
+
 // ============================================
 // TaxTrack App Class
 // ============================================
@@ -36,15 +188,33 @@ class TaxTrackApp {
   constructor() {
     this.user = null;
     this.transactions = [];
+    this.receipts = [];
+    this.syncQueue = [];
+    this.syncing = false;
+    this.syncInFlight = null;
+    this.syncTimer = null;
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.idleTimer = null;
+    this.notificationTimer = null;
+    this.serviceWorker = null;
+    this.lastActivityWrite = 0;
     this.settings = { ...DEFAULT_SETTINGS };
+    this.exchangeRates = [];
     this.init();
   }
 
   init() {
     this.loadUserFromStorage();
     this.loadSettings();
+    this.loadExchangeRates();
+    this.restoreSession();
+    this.loadLedger();
     this.updateUIForAuthState();
     this.bindAuthForms(); // <-- bind login/signup forms automatically
+    this.bindSyncTriggers();
+    this.bindConnectionStatus();
+    this.registerServiceWorker();
   }
 
   // ==========================================
@@ -52,18 +222,17 @@ class TaxTrackApp {
   // ==========================================
   async login(email, password) {
     try {
-      const res = await fetch(`${API_BASE}/api/auth/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email, password })
-      });
+      const res = await this.apiFetch('/api/auth/login', { method: 'POST', json: { email, password }, auth: false });
       const data = await res.json();
 
+      // Accounts with 2FA get a short-lived challenge instead of a session
+      if (res.ok && data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken, message: 'Enter the code from your authenticator app' };
+      }
       if (res.ok) {
-        const userWithToken = { ...data.user, token: data.token };
-        localStorage.setItem(STORAGE_KEYS.USER_LOGGED_IN, 'true');
-        localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(userWithToken));
-        this.user = userWithToken;
+        this.startSession(data);
+        this.loadLedger();
+        this.processSyncQueue();
         return { success: true, message: 'Login successful!' };
       } else {
         return { success: false, message: data.message || 'Login failed' };
@@ -76,18 +245,12 @@ class TaxTrackApp {
 
   async signup(userData) {
     try {
-      const res = await fetch(`${API_BASE}/api/auth/register`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(userData)
-      });
+      const res = await this.apiFetch('/api/auth/register', { method: 'POST', json: userData, auth: false });
       const data = await res.json();
 
       if (res.ok) {
-        const userWithToken = { ...data.user, token: data.token };
-        localStorage.setItem(STORAGE_KEYS.USER_LOGGED_IN, 'true');
-        localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(userWithToken));
-        this.user = userWithToken;
+        this.startSession(data);
+        this.loadLedger();
         return { success: true, message: 'Account created!' };
       } else {
         return { success: false, message: data.message || 'Signup failed' };
@@ -99,9 +262,7 @@ class TaxTrackApp {
   }
 
   logout() {
-    localStorage.removeItem(STORAGE_KEYS.USER_LOGGED_IN);
-    localStorage.removeItem(STORAGE_KEYS.USER_DATA);
-    this.user = null;
+    this.clearSession();
     window.location.href = 'login.html';
   }
 
@@ -116,176 +277,2307 @@ class TaxTrackApp {
   }
 
   isLoggedIn() {
-    return localStorage.getItem(STORAGE_KEYS.USER_LOGGED_IN) === 'true' && this.user !== null;
+    return localStorage.getItem(STORAGE_KEYS.USER_LOGGED_IN) === 'true' && this.user !== null && !this.isSessionExpired();
+  }
+
+  // Roles come from the server's user record and are refreshed with the
+  // token. They only shape the UI; the backend enforces access.
+  hasRole(...roles) {
+    return Boolean(this.isLoggedIn() && roles.includes(this.user.role));
   }
 
   // ==========================================
-  // Transactions via Backend
+  // Session & API Client
   // ==========================================
-  async addTransaction(transaction) {
-    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
+  // `data` is an auth response: { user, token, refreshToken? }
+  startSession(data) {
+    this.saveSession({ ...data.user, token: data.token, refreshToken: data.refreshToken || null });
+    this.recordActivity(true);
+  }
+
+  saveSession(user) {
+    localStorage.setItem(STORAGE_KEYS.USER_LOGGED_IN, 'true');
+    localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(user));
+    this.user = user;
+    this.scheduleTokenRefresh();
+  }
+
+  clearSession() {
+    localStorage.removeItem(STORAGE_KEYS.USER_LOGGED_IN);
+    localStorage.removeItem(STORAGE_KEYS.USER_DATA);
+    localStorage.removeItem(STORAGE_KEYS.LAST_ACTIVITY);
+    this.user = null;
+    clearTimeout(this.syncTimer);
+    clearTimeout(this.refreshTimer);
+    clearInterval(this.idleTimer);
+    clearInterval(this.notificationTimer);
+  }
+
+  // Ends the session and leaves a message for the login page to show
+  expireSession(message = 'Your session has expired. Please log in again.') {
+    if (!this.user) return;
+    localStorage.setItem(STORAGE_KEYS.AUTH_NOTICE, message);
+    this.logout();
+  }
+
+  consumeAuthNotice() {
+    const message = localStorage.getItem(STORAGE_KEYS.AUTH_NOTICE);
+    localStorage.removeItem(STORAGE_KEYS.AUTH_NOTICE);
+    return message;
+  }
+
+  // On page load: drop a session that expired or went idle while the
+  // browser was closed, otherwise arm the refresh and idle timers.
+  restoreSession() {
+    if (!this.user) return;
+    if (this.isSessionExpired()) {
+      localStorage.setItem(STORAGE_KEYS.AUTH_NOTICE, 'Your session has expired. Please log in again.');
+      this.clearSession();
+      return;
+    }
+    if (this.idleTimeExceeded()) {
+      localStorage.setItem(STORAGE_KEYS.AUTH_NOTICE, this.idleMessage());
+      this.clearSession();
+      return;
+    }
+    this.scheduleTokenRefresh();
+    this.bindIdleTimeout();
+  }
+
+  // Reads the JWT payload without verifying it; the server does that
+  decodeToken(token) {
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  getTokenExpiry(token = this.user && this.user.token) {
+    const payload = token ? this.decodeToken(token) : null;
+    return payload && payload.exp ? payload.exp * 1000 : null;
+  }
+
+  // A token without an `exp` claim never expires on the client. An expired
+  // access token is still usable while a refresh token can replace it.
+  isSessionExpired() {
+    if (!this.user || !this.user.token) return true;
+    const expiry = this.getTokenExpiry();
+    return expiry !== null && expiry <= Date.now() && !this.user.refreshToken;
+  }
+
+  scheduleTokenRefresh() {
+    clearTimeout(this.refreshTimer);
+    const expiry = this.getTokenExpiry();
+    if (!expiry) return;
+    const wait = Math.max(expiry - SESSION_CONFIG.refreshMarginMs - Date.now(), 0);
+    this.refreshTimer = setTimeout(async () => {
+      if (await this.refreshSession() === 'rejected') this.expireSession();
+    }, wait);
+  }
+
+  // Concurrent callers share one refresh request. Resolves to 'refreshed',
+  // 'rejected' (the server refused; the session is over) or 'offline'.
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestTokenRefresh().finally(() => { this.refreshPromise = null; });
+    }
+    return this.refreshPromise;
+  }
+
+  async requestTokenRefresh() {
+    if (!this.user) return 'rejected';
     try {
-      const res = await fetch(`${API_BASE}/api/tax`, {
+      const res = await fetch(`${API_BASE}/api/auth/refresh`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${this.user.token}` },
-        body: JSON.stringify(transaction)
+        body: JSON.stringify(this.user.refreshToken ? { refreshToken: this.user.refreshToken } : {})
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.token) return res.status >= 500 ? 'offline' : 'rejected';
+      this.saveSession({
+        ...this.user,
+        ...(data.user || {}),
+        token: data.token,
+        refreshToken: data.refreshToken || this.user.refreshToken || null
+      });
+      return 'refreshed';
+    } catch (err) {
+      console.error('Token refresh error:', err);
+      return 'offline';
+    }
+  }
+
+  // The one way to call the backend. Attaches the token, refreshes it when
+  // it is about to expire, and ends the session on a 401 that a refresh
+  // can't fix. `json` is sent as a JSON body; `auth: false` skips the token.
+  async apiFetch(path, options = {}) {
+    const { json, auth = true, ...init } = options;
+    const headers = { ...(init.headers || {}) };
+    if (json !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(json);
+    }
+    const send = () => fetch(`${API_BASE}${path}`, { ...init, headers });
+    if (!auth) return send();
+
+    const unauthorized = () => new Response(JSON.stringify({ message: 'Session expired' }), { status: 401 });
+    if (!this.user || !this.user.token) return unauthorized();
+
+    const expiry = this.getTokenExpiry();
+    if (expiry && expiry - SESSION_CONFIG.refreshMarginMs <= Date.now()) {
+      const outcome = await this.refreshSession();
+      if (outcome === 'rejected' || (outcome === 'offline' && expiry <= Date.now())) {
+        if (outcome === 'rejected') this.expireSession();
+        return unauthorized();
+      }
+    }
+
+    headers['Authorization'] = `Bearer ${this.user.token}`;
+    let res = await send();
+    if (res.status === 401) {
+      // The token may have been revoked early; one refresh before giving up
+      if (await this.refreshSession() === 'refreshed') {
+        headers['Authorization'] = `Bearer ${this.user.token}`;
+        res = await send();
+      }
+      if (res.status === 401) this.expireSession();
+    }
+    return res;
+  }
+
+  // ==========================================
+  // Idle Timeout
+  // ==========================================
+  // Activity is shared through localStorage so any open tab keeps the
+  // session alive.
+  bindIdleTimeout() {
+    if (this.idleTimer) return;
+    SESSION_CONFIG.activityEvents.forEach(event => {
+      window.addEventListener(event, () => this.recordActivity(), { passive: true });
+    });
+    this.idleTimer = setInterval(() => this.checkIdle(), SESSION_CONFIG.idleCheckMs);
+  }
+
+  recordActivity(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastActivityWrite < SESSION_CONFIG.activityThrottleMs) return;
+    this.lastActivityWrite = now;
+    localStorage.setItem(STORAGE_KEYS.LAST_ACTIVITY, String(now));
+    if (force) this.bindIdleTimeout();
+  }
+
+  idleTimeExceeded() {
+    const minutes = Number(this.settings.idleTimeout) || 0;
+    const last = Number(localStorage.getItem(STORAGE_KEYS.LAST_ACTIVITY));
+    return minutes > 0 && last > 0 && Date.now() - last >= minutes * 60 * 1000;
+  }
+
+  idleMessage() {
+    return `You were logged out after ${Number(this.settings.idleTimeout)} minutes of inactivity.`;
+  }
+
+  checkIdle() {
+    if (this.user && this.idleTimeExceeded()) this.expireSession(this.idleMessage());
+  }
+
+  // ==========================================
+  // Social Sign-in (OIDC)
+  // ==========================================
+  // Authorization code flow with PKCE. The verifier, state and nonce stay
+  // in this tab's sessionStorage until the provider redirects back.
+  async startOAuthLogin(provider) {
+    const config = OAUTH_PROVIDERS[provider];
+    if (!config) return { success: false, message: 'That sign-in provider is not supported' };
+    try {
+      const pending = {
+        provider,
+        state: randomUrlSafe(16),
+        nonce: randomUrlSafe(16),
+        codeVerifier: randomUrlSafe(32),
+        redirectUri: new URL(OAUTH_CALLBACK_PAGE, window.location.href).href
+      };
+      const res = await this.apiFetch(`/api/auth/oauth/${provider}/authorize`, {
+        method: 'POST',
+        auth: false,
+        json: {
+          redirectUri: pending.redirectUri,
+          state: pending.state,
+          nonce: pending.nonce,
+          codeChallenge: await pkceChallenge(pending.codeVerifier),
+          codeChallengeMethod: 'S256'
+        }
       });
       const data = await res.json();
-      if (res.ok) {
-        this.transactions.push(data);
-        return { success: true, transaction: data };
-      } else {
-        return { success: false, message: data.message || 'Failed to add transaction' };
+      if (!res.ok || !data.url) return { success: false, message: data.message || `Could not connect to ${config.name}` };
+      sessionStorage.setItem(STORAGE_KEYS.OAUTH_PENDING, JSON.stringify(pending));
+      window.location.assign(data.url);
+      return { success: true, message: `Redirecting to ${config.name}...` };
+    } catch (err) {
+      console.error('OAuth start error:', err);
+      return { success: false, message: 'Network error' };
+    }
+  }
+
+  // `params` is the callback page's query string. The backend verifies the
+  // ID token and links the provider to an existing account with the same
+  // verified email, or creates one.
+  async completeOAuthLogin(params) {
+    let pending = null;
+    try {
+      pending = JSON.parse(sessionStorage.getItem(STORAGE_KEYS.OAUTH_PENDING) || 'null');
+    } catch (e) {
+      pending = null;
+    }
+    // One attempt per redirect; a reload must start over
+    sessionStorage.removeItem(STORAGE_KEYS.OAUTH_PENDING);
+
+    if (params.get('error')) {
+      const cancelled = params.get('error') === 'access_denied';
+      return { success: false, message: cancelled ? 'Sign-in was cancelled.' : (params.get('error_description') || 'Sign-in failed') };
+    }
+    if (!pending || !params.get('code') || params.get('state') !== pending.state) {
+      return { success: false, message: 'This sign-in attempt is no longer valid. Please try again.' };
+    }
+
+    const name = OAUTH_PROVIDERS[pending.provider].name;
+    try {
+      const res = await this.apiFetch('/api/auth/oauth/callback', {
+        method: 'POST',
+        auth: false,
+        json: {
+          provider: pending.provider,
+          code: params.get('code'),
+          codeVerifier: pending.codeVerifier,
+          redirectUri: pending.redirectUri,
+          nonce: pending.nonce
+        }
+      });
+      const data = await res.json();
+      if (!res.ok) return { success: false, message: data.message || `${name} sign-in failed` };
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken, message: 'Enter the code from your authenticator app' };
       }
+      this.startSession(data);
+      this.loadLedger();
+      this.processSyncQueue();
+      const message = data.linked ? `Your ${name} account is now linked to ${data.user.email}` : `Signed in with ${name}`;
+      return { success: true, linked: Boolean(data.linked), message };
     } catch (err) {
-      console.error('Add transaction error:', err);
+      console.error('OAuth callback error:', err);
       return { success: false, message: 'Network error' };
     }
   }
 
-  async fetchTransactions() {
-    if (!this.user || !this.user.token) return [];
+  // ==========================================
+  // Account Security
+  // ==========================================
+  // Second login step; `code` is a TOTP code or a backup code
+  async verifyTwoFactorLogin(challengeToken, code) {
     try {
-      const res = await fetch(`${API_BASE}/api/tax`, { headers: { 'Authorization': `Bearer ${this.user.token}` } });
+      const res = await this.apiFetch('/api/auth/2fa/login', { method: 'POST', json: { challengeToken, code }, auth: false });
       const data = await res.json();
-      if (res.ok) this.transactions = data;
-      return this.transactions;
+      if (!res.ok) return { success: false, message: data.message || 'Invalid code', expired: res.status === 401 };
+      this.startSession(data);
+      this.loadLedger();
+      this.processSyncQueue();
+      return { success: true, message: 'Login successful!' };
     } catch (err) {
-      console.error('Fetch transactions error:', err);
-      return [];
+      console.error('2FA login error:', err);
+      return { success: false, message: 'Network error' };
+    }
+  }
+
+  // Returns an error message, or null when the password is acceptable
+  validatePassword(password) {
+    if (String(password).length < 8) return 'Password must be at least 8 characters.';
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) return 'Password must contain both letters and numbers.';
+    return null;
+  }
+
+  // POSTs to an account endpoint and reports { success, message, ...data }
+  async securityRequest(path, body, { auth = true, fallback = 'Request failed' } = {}) {
+    try {
+      const res = await this.apiFetch(path, { method: 'POST', json: body, auth });
+      const data = await res.json().catch(() => ({}));
+      return { ...data, success: res.ok, message: data.message || (res.ok ? 'Done' : fallback) };
+    } catch (err) {
+      console.error(`${path} error:`, err);
+      return { success: false, message: 'Network error' };
     }
   }
 
+  // The server checks the current password and answers with a fresh token;
+  // tokens issued before the change stop working.
+  async changePassword(currentPassword, newPassword) {
+    const invalid = this.validatePassword(newPassword);
+    if (invalid) return { success: false, message: invalid };
+    const result = await this.securityRequest('/api/auth/change-password', { currentPassword, newPassword }, { fallback: 'Could not change password' });
+    if (result.success && result.token) this.saveSession({ ...this.user, token: result.token });
+    return result;
+  }
+
+  requestPasswordReset(email) {
+    return this.securityRequest('/api/auth/forgot-password', { email }, { auth: false, fallback: 'Could not send reset email' });
+  }
+
+  async resetPassword(token, password) {
+    const invalid = this.validatePassword(password);
+    if (invalid) return { success: false, message: invalid };
+    return this.securityRequest('/api/auth/reset-password', { token, password }, { auth: false, fallback: 'Could not reset password' });
+  }
+
+  // Returns { secret, otpauthUrl } for the QR code
+  setupTwoFactor() {
+    return this.securityRequest('/api/auth/2fa/setup', {}, { fallback: 'Could not start 2FA setup' });
+  }
+
+  // Confirms enrolment with a first code; resolves with the backup codes
+  async enableTwoFactor(code) {
+    const result = await this.securityRequest('/api/auth/2fa/enable', { code }, { fallback: 'Invalid code' });
+    if (result.success) this.saveSession({ ...this.user, twoFactorEnabled: true });
+    return result;
+  }
+
+  async disableTwoFactor(password, code) {
+    const result = await this.securityRequest('/api/auth/2fa/disable', { password, code }, { fallback: 'Could not disable 2FA' });
+    if (result.success) this.saveSession({ ...this.user, twoFactorEnabled: false });
+    return result;
+  }
+
   // ==========================================
-  // Receipts & CSV Upload
+  // Profile
   // ==========================================
-  async uploadFile(file, type = 'receipt') {
-    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('type', type);
+  // The cached copy from the session; fetchProfile() refreshes it
+  getUser() {
+    if (!this.user) return {};
+    const { token, refreshToken, ...profile } = this.user;
+    return {
+      ...profile,
+      employment: normalizeEmployment(profile.employment),
+      taxId: isLegacyTaxId(profile.taxId) ? '' : profile.taxId
+    };
+  }
 
+  async fetchProfile() {
     try {
-      const res = await fetch(`${API_BASE}/api/receipts`, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${this.user.token}` },
-        body: formData
-      });
+      const res = await this.apiFetch('/api/users/me');
       const data = await res.json();
-      if (res.ok) {
-        this.transactions.push(...data.transactions);
-        return { success: true, transactions: data.transactions };
-      } else {
-        return { success: false, message: data.message || 'Upload failed' };
-      }
+      if (!res.ok) return { success: false, message: data.message || 'Could not load profile' };
+      this.saveSession({ ...this.user, ...(data.user || data) });
+      return { success: true, user: this.getUser() };
     } catch (err) {
-      console.error('Upload error:', err);
+      console.error('Profile load error:', err);
       return { success: false, message: 'Network error' };
     }
   }
 
-  async fetchReceipts() {
-    if (!this.user || !this.user.token) return [];
+  // Validates first (TIN checksum, state and tax office from the lists);
+  // `errors` maps each rejected field to its message.
+  async updateProfile(updates) {
+    const { profile, errors, warnings } = validateProfile(updates);
+    const fields = Object.keys(errors);
+    if (fields.length) return { success: false, message: errors[fields[0]], errors };
     try {
-      const res = await fetch(`${API_BASE}/api/receipts`, { headers: { 'Authorization': `Bearer ${this.user.token}` } });
+      const res = await this.apiFetch('/api/users/me', { method: 'PATCH', json: profile });
       const data = await res.json();
-      if (res.ok) return data;
-      else return [];
+      if (!res.ok) return { success: false, message: data.message || 'Could not save profile', errors: data.errors || {} };
+      this.saveSession({ ...this.user, ...(data.user || data) });
+      return { success: true, message: 'Profile updated!', user: this.getUser(), warnings };
     } catch (err) {
-      console.error('Fetch receipts error:', err);
-      return [];
+      console.error('Profile save error:', err);
+      return { success: false, message: 'Network error' };
     }
   }
 
+  // Landing page, calculators and PAYE reliefs for the user's employment type
+  getEmploymentDefaults() {
+    const defaults = employmentProfile(this.user && this.user.employment);
+    if (!this.settings.showAllCalculators) return defaults;
+    const reliefs = [...new Set(Object.values(EMPLOYMENT_PROFILES).flatMap(p => p.reliefs))];
+    return { ...defaults, calculators: CALCULATOR_PAGES.slice(), reliefs };
+  }
+
   // ==========================================
-  // Settings
+  // Local Ledger
   // ==========================================
-  loadSettings() {
+  // The ledger in localStorage is the source of truth. Each account has its
+  // own keys, so on a shared machine nobody sees someone else's entries and
+  // signing in as someone else never overwrites unsynced changes.
+  ownedKey(key) {
+    return `${key}:${String(this.user.email).toLowerCase()}`;
+  }
+
+  readOwned(key) {
+    if (!this.user) return [];
     try {
-      const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
-      this.settings = data ? { ...DEFAULT_SETTINGS, ...JSON.parse(data) } : { ...DEFAULT_SETTINGS };
+      const items = JSON.parse(localStorage.getItem(this.ownedKey(key)) || 'null');
+      if (Array.isArray(items)) return items;
+      // Older versions kept one { owner, items } blob per key
+      const legacy = JSON.parse(localStorage.getItem(key) || 'null');
+      return legacy && legacy.owner === this.user.email && Array.isArray(legacy.items) ? legacy.items : [];
     } catch (e) {
-      console.error('Error loading settings:', e);
-      this.settings = { ...DEFAULT_SETTINGS };
+      console.error(`Error reading ${key}:`, e);
+      return [];
     }
   }
 
-  saveSettings(newSettings) {
+  writeOwned(key, items) {
+    // Nobody owns data written after the session ends
+    if (!this.user) return;
     try {
-      this.settings = { ...this.settings, ...newSettings };
-      localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(this.settings));
-      return true;
+      localStorage.setItem(this.ownedKey(key), JSON.stringify(items));
+      const legacy = JSON.parse(localStorage.getItem(key) || 'null');
+      if (legacy && legacy.owner === this.user.email) localStorage.removeItem(key);
     } catch (e) {
-      console.error('Error saving settings:', e);
-      return false;
+      console.error(`Error writing ${key}:`, e);
     }
   }
 
-  getSettings() {
-    return { ...this.settings };
+  loadLedger() {
+    const stored = this.readOwned(STORAGE_KEYS.TRANSACTIONS);
+    this.transactions = stored.map(tx => this.migrateTransaction(tx));
+    this.syncQueue = this.readOwned(STORAGE_KEYS.SYNC_QUEUE);
+    this.receipts = this.readOwned(STORAGE_KEYS.RECEIPTS);
+    if (stored.some(tx => tx.schemaVersion !== TRANSACTION_SCHEMA_VERSION)) {
+      this.writeOwned(STORAGE_KEYS.TRANSACTIONS, this.transactions);
+    }
+  }
+
+  saveLedger() {
+    this.writeOwned(STORAGE_KEYS.TRANSACTIONS, this.transactions);
+    this.writeOwned(STORAGE_KEYS.SYNC_QUEUE, this.syncQueue);
+    window.dispatchEvent(new CustomEvent('taxtrack:transactions'));
+  }
+
+  getTransactions() {
+    return this.transactions.slice();
+  }
+
+  findTransaction(localId) {
+    return this.transactions.find(t => t.localId === localId) || null;
+  }
+
+  normalizeTransaction(serverTx, local = null) {
+    return {
+      ...this.migrateTransaction({
+        ...(local || {}),
+        ...serverTx,
+        date: serverTx.date || serverTx.createdAt || (local && local.date),
+        // Re-check what the server sent rather than trusting the local version
+        schemaVersion: serverTx.schemaVersion
+      }),
+      id: serverTx._id || serverTx.id,
+      localId: local ? local.localId : generateId(),
+      syncStatus: 'synced',
+      syncError: null
+    };
   }
 
   // ==========================================
-  // UI Helpers
+  // Transaction Model
   // ==========================================
-  updateUIForAuthState() {
-    const isLoggedIn = this.isLoggedIn();
-    const signInLinks = document.querySelectorAll('a[href="login.html"]');
-    const dashboardLinks = document.querySelectorAll('a[href="dashboard.html"]');
+  // Fills in the structured fields. Tax is taken from `taxAmount` (or the
+  // legacy `amount`), or worked out from `baseAmount` and `rate`; a missing
+  // rate is derived from the other two. A foreign-currency base amount is
+  // converted at `exchangeRate` (see applyExchangeRate()).
+  buildTransaction(input) {
+    const round = (n) => Math.round(n * 100) / 100;
+    const optionalNumber = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
 
-    if (isLoggedIn && this.user) {
-      signInLinks.forEach(link => {
-        link.href = 'dashboard.html';
-        link.innerHTML = `<i class="fas fa-user-circle"></i> Dashboard`;
-      });
-    }
+    const currency = isSupportedCurrency(input.currency) ? input.currency : BASE_CURRENCY;
+    const foreign = currency !== BASE_CURRENCY;
+    const originalAmount = foreign ? optionalNumber(input.originalAmount) : null;
+    const exchangeRate = foreign ? optionalNumber(input.exchangeRate) : 1;
+    const baseAmount = originalAmount !== null && exchangeRate
+      ? originalAmount * exchangeRate
+      : optionalNumber(input.baseAmount);
+    let rate = optionalNumber(input.rate);
+    let taxAmount = optionalNumber(input.taxAmount !== undefined ? input.taxAmount : input.amount);
+    if (taxAmount === null && baseAmount !== null && rate !== null) taxAmount = baseAmount * rate;
+    taxAmount = round(taxAmount || 0);
+    if (rate === null && baseAmount) rate = Math.round((taxAmount / baseAmount) * 10000) / 10000;
+
+    return {
+      ...input,
+      type: TRANSACTION_TYPES.includes(input.type) ? input.type : 'VAT',
+      date: input.date ? new Date(input.date).toISOString() : new Date().toISOString(),
+      baseAmount: baseAmount === null ? null : round(baseAmount),
+      taxAmount,
+      amount: taxAmount,
+      rate,
+      category: input.category || (input.type === 'PAYE' ? 'Salary' : 'Other'),
+      vendor: input.vendor || '',
+      source: TRANSACTION_SOURCES.includes(input.source) ? input.source : 'manual',
+      receiptId: input.receiptId || null,
+      details: input.details || '',
+      currency,
+      originalAmount: originalAmount === null ? null : round(originalAmount),
+      exchangeRate,
+      rateDate: foreign ? input.rateDate || null : null,
+      schemaVersion: TRANSACTION_SCHEMA_VERSION
+    };
   }
 
-  showToast(message, type = 'success') {
-    const toast = document.createElement('div');
-    toast.className = `toast toast-${type}`;
-    toast.innerHTML = `<i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
-      <span>${message}</span>`;
-    if (!document.getElementById('toast-styles')) {
-      const styles = document.createElement('style');
-      styles.id = 'toast-styles';
-      styles.textContent = `
-        .toast { position: fixed; bottom: 24px; right: 24px; padding: 16px 24px; background: rgba(19, 34, 56, 0.95); border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 12px; color: #fff; font-family: 'Outfit', sans-serif; font-size: 0.95rem; display: flex; align-items: center; gap: 12px; box-shadow: 0 8px 32px rgba(0,0,0,0.3); z-index:10000; animation: slideIn 0.3s ease-out; }
-        .toast-success { border-left: 4px solid #00d4aa; } .toast-success i { color: #00d4aa; }
-        .toast-error { border-left: 4px solid #ff6b6b; } .toast-error i { color: #ff6b6b; }
-        .toast-info { border-left: 4px solid #74b9ff; } .toast-info i { color: #74b9ff; }
-        @keyframes slideIn { from { transform: translateX(100%); opacity:0; } to { transform: translateX(0); opacity:1; } }
-        @keyframes slideOut { from { transform: translateX(0); opacity:1; } to { transform: translateX(100%); opacity:0; } }
-      `;
-      document.head.appendChild(styles);
-    }
-    document.body.appendChild(toast);
-    setTimeout(() => {
-      toast.style.animation = 'slideOut 0.3s ease-out forwards';
-      setTimeout(() => toast.remove(), 300);
-    }, 3000);
+  // Looks up the rate for a foreign-currency entry's date when it doesn't
+  // bring its own. Returns { transaction } or { error }.
+  applyExchangeRate(input) {
+    const currency = input.currency || BASE_CURRENCY;
+    if (!isSupportedCurrency(currency)) return { error: `${currency} is not a supported currency` };
+    if (currency === BASE_CURRENCY || input.exchangeRate) return { transaction: input };
+    const date = input.date || new Date();
+    const quote = this.getExchangeRate(currency, date);
+    if (!quote) return { error: `No ${currency} exchange rate on or before ${formatDate(date)}. Add one in Settings.` };
+    return { transaction: { ...input, exchangeRate: quote.rate, rateDate: quote.date } };
   }
 
-  requireAuth() {
-    if (!this.isLoggedIn()) {
-      window.location.href = 'login.html';
-      return false;
-    }
-    return true;
+  getTransactionCategories() {
+    return TRANSACTION_CATEGORIES.slice();
   }
 
-  redirectIfLoggedIn(destination = 'dashboard.html') {
-    if (this.isLoggedIn()) {
-      window.location.href = destination;
-      return true;
+  // Base and tax for an entered amount (see computeTax() in tax-rules.js),
+  // using the VAT-inclusive default from Settings and the profile's state
+  calculateTax({ type = 'VAT', amount, date = new Date(), vatClass = 'standard', inclusive } = {}) {
+    const { state, consumption } = this.getTaxRules(date);
+    return computeTax({
+      type,
+      amount,
+      date,
+      vatClass,
+      inclusive: inclusive === undefined ? Boolean(this.settings.vatInclusive) : inclusive,
+      state,
+      consumptionRate: consumption ? consumption.rate : null
+    });
+  }
+
+  // The rules in force on `date`: VAT, and consumption tax for the
+  // profile's state ({ rate, label }, or null when none is set)
+  getTaxRules(date = new Date()) {
+    const state = (this.user && this.user.state) || '';
+    const rule = getConsumptionTaxRule(state, date);
+    const custom = this.settings.consumptionRate;
+    const consumption = rule
+      ? { rate: rule.rate, label: rule.label, covers: rule.covers }
+      : (custom === null || custom === '' || custom === undefined ? null : { rate: Number(custom) / 100, label: 'Rate from Settings' });
+    return { vat: getVATRules(date), state, consumption };
+  }
+
+  // Upgrades records written before the structured schema, where the base
+  // amount only lived in the details text as "(Base: ₦…)" or "(Gross: ₦…)".
+  migrateTransaction(tx) {
+    // A record of an unknown type is rebuilt even if it claims to be current
+    if (tx.schemaVersion === TRANSACTION_SCHEMA_VERSION && TRANSACTION_TYPES.includes(tx.type)) return tx;
+    const parseNaira = (str) => Number(str.replace(/,/g, ''));
+    let details = String(tx.details || '');
+    let baseAmount = tx.baseAmount !== undefined ? tx.baseAmount : null;
+    let source = tx.source;
+
+    const base = details.match(/\s*\(Base: ₦([\d,.]+)\)\s*$/);
+    if (base) {
+      baseAmount = parseNaira(base[1]);
+      details = details.slice(0, base.index).trim();
     }
-    return false;
+
+    const gross = details.match(/\s*\(Gross: ₦([\d,.]+)\)\s*$/);
+    if (gross) {
+      baseAmount = parseNaira(gross[1]);
+      details = details.slice(0, gross.index).trim();
+      source = source || 'PAYE';
+    }
+
+    if (!source) {
+      if (tx.importRef || /^CSV Import: /.test(details)) source = 'CSV';
+      else if (tx.type === 'PAYE') source = 'PAYE';
+    }
+
+    return this.buildTransaction({
+      ...tx,
+      details,
+      baseAmount,
+      taxAmount: tx.taxAmount !== undefined ? tx.taxAmount : tx.amount,
+      source,
+      date: tx.date || tx.createdAt
+    });
   }
 
-  formatCurrency(amount) {
-    const currency = this.settings.currency || 'NGN';
-    const symbol = currency === 'NGN' ? '₦' : '$';
-    return `${symbol}${Number(amount).toLocaleString()}`;
+  // ==========================================
+  // Transactions (local first, synced to /api/tax)
+  // ==========================================
+  async addTransaction(transaction) {
+    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
+    const converted = this.applyExchangeRate(transaction);
+    if (converted.error) return { success: false, message: converted.error };
+    const record = {
+      ...this.buildTransaction(converted.transaction),
+      id: null,
+      localId: generateId(),
+      syncStatus: 'pending',
+      syncError: null
+    };
+    this.transactions.push(record);
+    this.enqueueSync({ action: 'create', localId: record.localId });
+    return { success: true, transaction: record };
+  }
+
+  // Adds many transactions at once (CSV imports) and syncs them in a single
+  // batch request instead of one POST per row.
+  async addTransactions(transactions) {
+    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
+    if (!transactions.length) return { success: true, transactions: [] };
+    const { records, error } = this.prepareTransactions(transactions);
+    if (error) return { success: false, message: error };
+    this.transactions.push(...records);
+    this.enqueueSync({ action: 'createBatch', localIds: records.map(r => r.localId) });
+    return { success: true, transactions: records };
+  }
+
+  // New records for `transactions`, or { error } for the first that can't
+  // be converted to Naira. Nothing is stored.
+  prepareTransactions(transactions) {
+    const converted = transactions.map(tx => this.applyExchangeRate(tx));
+    const failed = converted.find(c => c.error);
+    if (failed) return { error: failed.error };
+    return {
+      records: converted.map(({ transaction: tx }) => ({
+        ...this.buildTransaction(tx),
+        id: null,
+        localId: generateId(),
+        syncStatus: 'pending',
+        syncError: null
+      }))
+    };
+  }
+
+  async updateTransaction(localId, changes) {
+    const record = this.findTransaction(localId);
+    if (!record) return { success: false, message: 'Transaction not found' };
+    const merged = { ...record, ...changes };
+    // Editing `amount` is editing the tax amount
+    if (changes.amount !== undefined && changes.taxAmount === undefined) merged.taxAmount = changes.amount;
+    // Amounts changed without a new rate: derive it again
+    const amountsChanged = ['amount', 'taxAmount', 'baseAmount', 'originalAmount'].some(k => changes[k] !== undefined);
+    if (amountsChanged && changes.rate === undefined) merged.rate = null;
+    // A new currency or date means a new exchange rate
+    const newCurrency = changes.currency !== undefined && changes.currency !== record.currency;
+    const newDay = changes.date !== undefined && isoDate(changes.date) !== isoDate(record.date);
+    if ((newCurrency || newDay) && changes.exchangeRate === undefined) {
+      merged.exchangeRate = null;
+      // The Naira base moves with the rate; keep the tax rate, not the tax
+      if (!amountsChanged && merged.rate !== null) merged.taxAmount = merged.amount = null;
+    }
+    const converted = this.applyExchangeRate(merged);
+    if (converted.error) return { success: false, message: converted.error };
+    Object.assign(record, this.buildTransaction(converted.transaction), {
+      syncStatus: 'pending',
+      syncError: null
+    });
+    // A record whose create hasn't been sent yet goes up with its latest
+    // values when that create replays, so it needs no separate update.
+    const unsentCreate = this.syncQueue.some(op =>
+      (op.action === 'create' || op.action === 'createBatch') && op !== this.syncInFlight && this.opLocalIds(op).includes(localId));
+    if (unsentCreate) {
+      this.saveLedger();
+    } else {
+      this.enqueueSync({ action: 'update', localId });
+    }
+    return { success: true, transaction: record };
+  }
+
+  async deleteTransaction(localId) {
+    return this.deleteTransactions([localId]);
+  }
+
+  async deleteTransactions(localIds) {
+    const ids = new Set(localIds);
+    const removed = this.transactions.filter(t => ids.has(t.localId));
+    if (!removed.length) return { success: false, message: 'Transaction not found' };
+
+    this.transactions = this.transactions.filter(t => !ids.has(t.localId));
+    // Drop queued work for the removed records; anything the server already
+    // has gets a DELETE of its own.
+    this.syncQueue = this.syncQueue.filter(op => {
+      if (op === this.syncInFlight) return true;
+      if (op.localIds) {
+        if (!op.localIds.length) return true;
+        op.localIds = op.localIds.filter(id => !ids.has(id));
+        return op.localIds.length > 0;
+      }
+      return !ids.has(op.localId);
+    });
+    removed.filter(t => t.id).forEach(t => {
+      this.syncQueue.push({ action: 'delete', serverId: t.id, localIds: [], attempts: 0, nextAttemptAt: 0, status: 'pending' });
+    });
+    this.saveLedger();
+    this.processSyncQueue();
+    return { success: true, count: removed.length };
+  }
+
+  async fetchTransactions() {
+    if (!this.user || !this.user.token) return this.getTransactions();
+    try {
+      const res = await this.apiFetch('/api/tax');
+      const data = await res.json();
+      if (res.ok && Array.isArray(data)) this.reconcileTransactions(data);
+    } catch (err) {
+      console.error('Fetch transactions error:', err);
+    }
+    return this.getTransactions();
+  }
+
+  // Server records win for anything already synced; local records that
+  // still have queued work are kept as they are until the queue replays.
+  reconcileTransactions(serverTransactions) {
+    const byServerId = new Map(this.transactions.filter(t => t.id).map(t => [t.id, t]));
+    const deleting = new Set(this.syncQueue.filter(op => op.action === 'delete').map(op => op.serverId));
+    const merged = serverTransactions.filter(tx => !deleting.has(tx._id || tx.id)).map(tx => {
+      const local = byServerId.get(tx._id || tx.id);
+      if (local && local.syncStatus !== 'synced') return local;
+      return this.normalizeTransaction(tx, local);
+    });
+    const unsynced = this.transactions.filter(t => !t.id);
+    this.transactions = [...merged, ...unsynced].sort((a, b) => new Date(a.date) - new Date(b.date));
+    this.saveLedger();
+  }
+
+  // ==========================================
+  // Sync Queue
+  // ==========================================
+  enqueueSync(operation) {
+    this.syncQueue.push({ ...operation, attempts: 0, nextAttemptAt: 0, status: 'pending' });
+    this.saveLedger();
+    this.processSyncQueue();
+  }
+
+  bindSyncTriggers() {
+    window.addEventListener('online', () => this.processSyncQueue());
+    if (this.isLoggedIn()) this.processSyncQueue();
+  }
+
+  setSyncStatus(localIds, status, error = null) {
+    localIds.forEach(localId => {
+      const record = this.findTransaction(localId);
+      if (record) {
+        record.syncStatus = status;
+        record.syncError = error;
+      }
+    });
+  }
+
+  async processSyncQueue() {
+    if (this.syncing || !this.user || !this.user.token) return;
+    this.syncing = true;
+    clearTimeout(this.syncTimer);
+
+    try {
+      for (const op of this.syncQueue.slice()) {
+        if (op.status === 'failed' || op.nextAttemptAt > Date.now()) continue;
+
+        this.syncInFlight = op;
+        const outcome = await this.replaySyncOperation(op);
+        this.syncInFlight = null;
+        // Session ended mid-replay: leave the queue as it is for next login
+        if (!this.user) break;
+        if (outcome.done) {
+          this.syncQueue = this.syncQueue.filter(o => o !== op);
+        } else if (outcome.retry && op.attempts + 1 < SYNC_CONFIG.maxAttempts) {
+          op.attempts++;
+          const delay = Math.min(SYNC_CONFIG.baseDelayMs * 2 ** (op.attempts - 1), SYNC_CONFIG.maxDelayMs);
+          op.nextAttemptAt = Date.now() + delay + Math.floor(Math.random() * 1000);
+          this.setSyncStatus(this.opLocalIds(op), 'pending', outcome.message);
+        } else {
+          op.status = 'failed';
+          this.setSyncStatus(this.opLocalIds(op), 'failed', outcome.message);
+        }
+        this.saveLedger();
+      }
+    } finally {
+      this.syncing = false;
+      this.syncInFlight = null;
+      this.scheduleSync();
+    }
+  }
+
+  scheduleSync() {
+    const due = this.syncQueue.filter(o => o.status !== 'failed').map(o => o.nextAttemptAt);
+    if (!due.length) return;
+    const wait = Math.max(Math.min(...due) - Date.now(), 0);
+    this.syncTimer = setTimeout(() => this.processSyncQueue(), wait);
+  }
+
+  retryFailedSync() {
+    this.syncQueue.forEach(op => {
+      if (op.status !== 'failed') return;
+      op.status = 'pending';
+      op.attempts = 0;
+      op.nextAttemptAt = 0;
+      this.setSyncStatus(this.opLocalIds(op), 'pending');
+    });
+    this.saveLedger();
+    return this.processSyncQueue();
+  }
+
+  // Resolves to { done } on success, { retry } for network/5xx failures and
+  // a plain failure for anything the server rejected outright.
+  async replaySyncOperation(op) {
+    try {
+      switch (op.action) {
+        case 'create': return await this.replayCreate(op);
+        case 'createBatch': return await this.replayCreateBatch(op);
+        case 'update': return await this.replayUpdate(op);
+        case 'delete': return await this.replayDelete(op);
+        case 'upload': return await this.replayUpload(op);
+        case 'deleteReceipt': return await this.replayDeleteReceipt(op);
+        default: return { done: true };
+      }
+    } catch (err) {
+      console.error('Sync error:', err);
+      return { retry: true, message: 'Network error' };
+    }
+  }
+
+  opLocalIds(op) {
+    return op.localIds || [op.localId];
+  }
+
+  hasQueuedWork(localId, except = null) {
+    return this.syncQueue.some(op => op !== except && this.opLocalIds(op).includes(localId));
+  }
+
+  transactionPayload(record) {
+    const { id, _id, localId, syncStatus, syncError, ...payload } = record;
+    return payload;
+  }
+
+  // Applies a server response to the local record. If the user edited the
+  // record while the request was in flight, only the server id is taken so
+  // the queued update still carries their changes.
+  applyServerRecord(localId, data, op) {
+    const record = this.findTransaction(localId);
+    if (!record) return;
+    if (this.hasQueuedWork(localId, op)) {
+      record.id = data._id || data.id || record.id;
+    } else {
+      Object.assign(record, this.normalizeTransaction(data, record));
+    }
+  }
+
+  async replayCreate(op) {
+    const record = this.findTransaction(op.localId);
+    if (!record) return { done: true };
+
+    const res = await this.apiFetch('/api/tax', { method: 'POST', json: this.transactionPayload(record) });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) return this.syncFailure(res, data);
+
+    this.applyCreated(op.localId, data, op);
+    return { done: true };
+  }
+
+  async replayCreateBatch(op) {
+    const records = op.localIds.map(id => this.findTransaction(id)).filter(Boolean);
+    if (!records.length) return { done: true };
+
+    const res = await this.apiFetch('/api/tax/batch', {
+      method: 'POST',
+      json: { transactions: records.map(r => this.transactionPayload(r)) }
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) return this.syncFailure(res, data);
+
+    // The server answers in request order
+    (data.transactions || []).forEach((created, i) => {
+      if (records[i]) this.applyCreated(records[i].localId, created, op);
+    });
+    return { done: true };
+  }
+
+  applyCreated(localId, data, op) {
+    // Deleted locally while the create was in flight
+    if (!this.findTransaction(localId)) {
+      this.syncQueue.push({ action: 'delete', serverId: data._id || data.id, localIds: [], attempts: 0, nextAttemptAt: 0, status: 'pending' });
+      return;
+    }
+    this.applyServerRecord(localId, data, op);
+  }
+
+  async replayUpdate(op) {
+    const record = this.findTransaction(op.localId);
+    if (!record) return { done: true };
+    if (!record.id) return { retry: true, message: 'Waiting for create to sync' };
+
+    const res = await this.apiFetch(`/api/tax/${encodeURIComponent(record.id)}`, {
+      method: 'PUT',
+      json: this.transactionPayload(record)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) return this.syncFailure(res, data);
+
+    this.applyServerRecord(op.localId, { ...this.transactionPayload(record), ...data, id: record.id }, op);
+    return { done: true };
+  }
+
+  async replayDelete(op) {
+    const res = await this.apiFetch(`/api/tax/${encodeURIComponent(op.serverId)}`, { method: 'DELETE' });
+    // Already gone on the server counts as deleted
+    if (res.ok || res.status === 404) return { done: true };
+    const data = await res.json().catch(() => ({}));
+    return this.syncFailure(res, data);
+  }
+
+  async replayUpload(op) {
+    if (op.receiptId) return this.replayReceiptUpload(op);
+    const file = await idbGet(IDB_STORES.UPLOADS, op.uploadKey);
+    if (!file) return { done: true };
+    const formData = new FormData();
+    formData.append('file', file, op.fileName);
+    formData.append('type', op.type);
+
+    const res = await this.apiFetch('/api/receipts', { method: 'POST', body: formData });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) return this.syncFailure(res, data);
+
+    this.transactions.push(...(data.transactions || []).map(tx => this.normalizeTransaction(tx)));
+    await idbDelete(IDB_STORES.UPLOADS, op.uploadKey);
+    return { done: true };
+  }
+
+  // Vault receipts keep their file locally; the server gets a copy with the
+  // receipt's details and answers with its own id for it
+  async replayReceiptUpload(op) {
+    const receipt = this.findReceipt(op.receiptId);
+    const file = receipt && await idbGet(IDB_STORES.RECEIPTS, receipt.id);
+    if (!file) return { done: true };
+    const formData = new FormData();
+    formData.append('file', file, receipt.fileName);
+    formData.append('type', 'receipt');
+    ['id', 'vendor', 'date', 'total', 'source'].forEach(field => {
+      if (receipt[field] !== null && receipt[field] !== undefined) formData.append(field === 'id' ? 'receiptId' : field, receipt[field]);
+    });
+
+    const res = await this.apiFetch('/api/receipts', { method: 'POST', body: formData });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) return this.syncFailure(res, data);
+
+    const saved = data.receipt || data;
+    // Deleted locally while the upload was in flight
+    if (!this.findReceipt(receipt.id)) {
+      this.syncQueue.push({ action: 'deleteReceipt', serverId: saved._id || saved.id, localIds: [], attempts: 0, nextAttemptAt: 0, status: 'pending' });
+      return { done: true };
+    }
+    Object.assign(receipt, { serverId: saved._id || saved.id || null, syncStatus: 'synced' });
+    this.saveReceipts();
+    return { done: true };
+  }
+
+  async replayDeleteReceipt(op) {
+    const res = await this.apiFetch(`/api/receipts/${encodeURIComponent(op.serverId)}`, { method: 'DELETE' });
+    if (res.ok || res.status === 404) return { done: true };
+    const data = await res.json().catch(() => ({}));
+    return this.syncFailure(res, data);
+  }
+
+  syncFailure(res, data) {
+    const retry = res.status >= 500 || res.status === 408 || res.status === 429;
+    return { retry, message: data.message || `Server responded ${res.status}` };
+  }
+
+  // ==========================================
+  // PAYE Calculation
+  // ==========================================
+  // The rules and arithmetic live in paye-rules.js
+  getPAYERules(taxYear) {
+    return getPAYERules(taxYear);
+  }
+
+  getPAYETaxYears() {
+    return getPAYETaxYears();
+  }
+
+  calculatePAYE(gross, reliefs = {}, taxYear = new Date().getFullYear()) {
+    return computePAYE(gross, reliefs, taxYear);
+  }
+
+  // The calculator keeps one estimate per tax year, so running it again
+  // replaces the last one instead of counting the tax twice. Years with
+  // payslips already record the PAYE actually deducted.
+  async savePAYECalculation(transaction) {
+    const taxYear = transaction.taxYear;
+    if (this.getPayroll(taxYear).length) {
+      return { success: false, skipped: true, message: `Not saved: your ${taxYear} payslips already record the PAYE deducted` };
+    }
+    const estimate = this.transactions.find(tx =>
+      tx.type === 'PAYE' && tx.source === 'PAYE' && !tx.payrollId && Number(tx.taxYear) === Number(taxYear));
+    if (!estimate) return this.addTransaction(transaction);
+    const result = await this.updateTransaction(estimate.localId, { currency: BASE_CURRENCY, originalAmount: null, exchangeRate: null, ...transaction });
+    return { ...result, updated: true };
+  }
+
+  // ==========================================
+  // Payroll
+  // ==========================================
+  // One record per payslip: { id, month: 'YYYY-MM', employer, gross, basic,
+  // pension, nhf, nhis, paye, net, receiptId, createdAt }, in Naira. Each
+  // has a PAYE transaction for the tax deducted (found by `payrollId`), so
+  // tax totals show what was actually paid.
+  getPayroll(taxYear = null) {
+    return this.readOwned(STORAGE_KEYS.PAYROLL)
+      .filter(r => taxYear === null || r.month.startsWith(`${taxYear}-`))
+      .sort((a, b) => a.month.localeCompare(b.month) || a.employer.localeCompare(b.employer));
+  }
+
+  savePayroll(records) {
+    this.writeOwned(STORAGE_KEYS.PAYROLL, records);
+    window.dispatchEvent(new CustomEvent('taxtrack:payroll'));
+  }
+
+  // Saves (or, for the same month and employer, replaces) a payslip and its
+  // PAYE transaction. `file` is the payslip PDF, kept in the receipt vault.
+  async savePayslip(details, file = null) {
+    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
+    const round = (n) => Math.round((Number(n) || 0) * 100) / 100;
+    const month = String(details.month || '');
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return { success: false, message: 'Pick the month this payslip is for' };
+    const record = {
+      month,
+      employer: String(details.employer || '').trim(),
+      gross: round(details.gross),
+      basic: round(details.basic),
+      pension: round(details.pension),
+      nhf: round(details.nhf),
+      nhis: round(details.nhis),
+      paye: round(details.paye),
+      net: round(details.net)
+    };
+    if (!(record.gross > 0)) return { success: false, message: 'Enter the gross pay for the month' };
+    if (['basic', 'pension', 'nhf', 'nhis', 'paye', 'net'].some(k => record[k] < 0)) return { success: false, message: 'Amounts cannot be negative' };
+    if (record.pension + record.nhf + record.nhis + record.paye > record.gross) {
+      return { success: false, message: 'The deductions add up to more than the gross pay' };
+    }
+
+    const records = this.readOwned(STORAGE_KEYS.PAYROLL);
+    const existing = records.find(r => r.month === month && r.employer.toLowerCase() === record.employer.toLowerCase());
+    Object.assign(record, {
+      id: existing ? existing.id : generateId(),
+      receiptId: existing ? existing.receiptId : null,
+      createdAt: existing ? existing.createdAt : new Date().toISOString()
+    });
+    if (file && !record.receiptId) {
+      const saved = await this.saveReceipt(file, { vendor: record.employer || 'Payslip', date: `${month}-01`, total: record.net || record.gross, source: 'upload' });
+      if (saved.success) record.receiptId = saved.receipt.id;
+    }
+
+    const [year, monthNumber] = month.split('-').map(Number);
+    const transaction = {
+      type: 'PAYE',
+      baseAmount: record.gross,
+      taxAmount: record.paye,
+      rate: null,
+      // Pay day is taken as the last day of the month
+      date: new Date(year, monthNumber, 0, 12).toISOString(),
+      category: 'Salary',
+      vendor: record.employer,
+      source: 'Payslip',
+      details: `Payslip ${new Date(year, monthNumber - 1, 1).toLocaleDateString('en-NG', { month: 'long', year: 'numeric' })}`,
+      payrollId: record.id,
+      taxYear: year,
+      receiptId: record.receiptId,
+      receiptName: file ? file.name : undefined
+    };
+    const linked = this.transactions.find(tx => tx.payrollId === record.id);
+    const result = linked ? await this.updateTransaction(linked.localId, transaction) : await this.addTransaction(transaction);
+    if (!result.success) return result;
+
+    this.savePayroll(existing ? records.map(r => (r.id === existing.id ? record : r)) : [...records, record]);
+    // The calculator's estimate for the year gives way to real deductions
+    const estimates = this.transactions
+      .filter(tx => tx.type === 'PAYE' && tx.source === 'PAYE' && !tx.payrollId && Number(tx.taxYear) === year)
+      .map(tx => tx.localId);
+    if (estimates.length) await this.deleteTransactions(estimates);
+    return { success: true, record, replaced: Boolean(existing), removedEstimates: estimates.length };
+  }
+
+  // The payslip file stays in the receipt vault
+  async deletePayslip(id) {
+    const records = this.readOwned(STORAGE_KEYS.PAYROLL);
+    if (!records.some(r => r.id === id)) return { success: false, message: 'Payslip not found' };
+    const linked = this.transactions.filter(tx => tx.payrollId === id).map(tx => tx.localId);
+    if (linked.length) await this.deleteTransactions(linked);
+    this.savePayroll(records.filter(r => r.id !== id));
+    return { success: true };
+  }
+
+  // Compares the PAYE deducted in `taxYear` with what calculatePAYE() says
+  // was due. Each month is checked on its own pay annualised, the way
+  // payroll does it; the year compares the deductions so far with the
+  // annual tax on the pay so far projected over twelve months, pro rata.
+  // `status` is 'over', 'under' or 'ok' (within 1%, or ₦100).
+  reconcilePAYE(taxYear = new Date().getFullYear()) {
+    const round = (n) => Math.round(n * 100) / 100;
+    const fields = ['gross', 'pension', 'nhf', 'nhis', 'paye'];
+    const byMonth = new Map();
+    this.getPayroll(taxYear).forEach(r => {
+      const month = byMonth.get(r.month) || { month: r.month, employers: [], gross: 0, pension: 0, nhf: 0, nhis: 0, paye: 0 };
+      if (r.employer) month.employers.push(r.employer);
+      fields.forEach(f => { month[f] += r[f] || 0; });
+      byMonth.set(r.month, month);
+    });
+    if (!byMonth.size) return null;
+
+    const annualised = (m, factor) => this.calculatePAYE(m.gross * factor, { pension: m.pension * factor, nhf: m.nhf * factor, nhis: m.nhis * factor }, taxYear);
+    const rows = [...byMonth.values()].map(m => {
+      const due = annualised(m, 12).monthlyTax;
+      return { ...m, due, difference: round(m.paye - due) };
+    });
+    const totals = Object.fromEntries(fields.map(f => [f, round(rows.reduce((sum, r) => sum + r[f], 0))]));
+    const projection = annualised(totals, 12 / rows.length);
+    const due = round(projection.annualTax * rows.length / 12);
+    const difference = round(totals.paye - due);
+    const tolerance = Math.max(100, due * 0.01);
+    return {
+      taxYear: Number(taxYear),
+      months: rows.length,
+      rows,
+      totals,
+      projection,
+      due,
+      difference,
+      status: Math.abs(difference) <= tolerance ? 'ok' : (difference > 0 ? 'over' : 'under')
+    };
+  }
+
+  // ==========================================
+  // Financial Year Reporting
+  // ==========================================
+  // Periods are described as { kind: 'all' | 'fy' | 'quarter' | 'month',
+  // year, quarter, month } where `year` is the calendar year the financial
+  // year starts in, `quarter` is 1–4 and `month` is 0–11 counted from the
+  // first month of the financial year. { kind: 'range', start, end } covers
+  // any span of dates, with `end` included.
+  getFinancialYearStartMonth() {
+    const month = parseInt(this.settings.financialYearStart, 10);
+    return month >= 1 && month <= 12 ? month - 1 : 0;
+  }
+
+  getFinancialYear(date = new Date()) {
+    const d = new Date(date);
+    return d.getMonth() >= this.getFinancialYearStartMonth() ? d.getFullYear() : d.getFullYear() - 1;
+  }
+
+  formatFinancialYear(year) {
+    if (this.getFinancialYearStartMonth() === 0) return `FY ${year}`;
+    return `FY ${year}/${String((year + 1) % 100).padStart(2, '0')}`;
+  }
+
+  getFinancialYears() {
+    const years = new Set(this.transactions.map(tx => this.getFinancialYear(tx.date)));
+    years.add(this.getFinancialYear());
+    return [...years].sort((a, b) => b - a);
+  }
+
+  getPeriodRange(period = { kind: 'all' }) {
+    const startMonth = this.getFinancialYearStartMonth();
+    const year = period.year !== undefined ? Number(period.year) : this.getFinancialYear();
+
+    switch (period.kind) {
+      case 'fy':
+        return {
+          start: new Date(year, startMonth, 1),
+          end: new Date(year + 1, startMonth, 1),
+          label: this.formatFinancialYear(year)
+        };
+      case 'quarter': {
+        const quarter = Number(period.quarter) || 1;
+        return {
+          start: new Date(year, startMonth + (quarter - 1) * 3, 1),
+          end: new Date(year, startMonth + quarter * 3, 1),
+          label: `Q${quarter} ${this.formatFinancialYear(year)}`
+        };
+      }
+      case 'month': {
+        const start = new Date(year, startMonth + (Number(period.month) || 0), 1);
+        return {
+          start,
+          end: new Date(start.getFullYear(), start.getMonth() + 1, 1),
+          label: start.toLocaleDateString('en-NG', { month: 'long', year: 'numeric' })
+        };
+      }
+      case 'range': {
+        const day = (value) => new Date(`${String(value).slice(0, 10)}T00:00:00`);
+        const start = day(period.start);
+        const last = day(period.end);
+        const format = (d) => d.toLocaleDateString('en-NG', { year: 'numeric', month: 'short', day: 'numeric' });
+        return {
+          start,
+          end: new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1),
+          label: `${format(start)} – ${format(last)}`
+        };
+      }
+      default:
+        return { start: null, end: null, label: 'All time' };
+    }
+  }
+
+  // Tax entries only; business income and expenses are read through
+  // getLedgerEntries()
+  getTransactionsInRange(range) {
+    return this.transactions.filter(tx => {
+      if (!isTaxTransaction(tx)) return false;
+      if (!range.start) return true;
+      const date = new Date(tx.date);
+      return date >= range.start && date < range.end;
+    });
+  }
+
+  // Aggregation lives in tax-aggregates.js so charts, profile stats and
+  // reports all read the same numbers
+  summarizeTransactions(transactions) {
+    return summarizeByType(transactions);
+  }
+
+  // Totals for a period, plus the same period one financial year earlier
+  getTaxSummary(period = { kind: 'all' }) {
+    const range = this.getPeriodRange(period);
+    const current = this.summarizeTransactions(this.getTransactionsInRange(range));
+    if (!range.start || period.kind === 'range') return { ...current, period: range, previous: null, change: null };
+
+    const year = period.year !== undefined ? Number(period.year) : this.getFinancialYear();
+    const previousRange = this.getPeriodRange({ ...period, year: year - 1 });
+    const previous = this.summarizeTransactions(this.getTransactionsInRange(previousRange));
+    const pct = (now, before) => (before ? Math.round(((now - before) / before) * 1000) / 10 : null);
+
+    return {
+      ...current,
+      period: range,
+      previous: { ...previous, period: previousRange },
+      change: {
+        paye: pct(current.paye, previous.paye),
+        vat: pct(current.vat, previous.vat),
+        consumption: pct(current.consumption, previous.consumption),
+        total: pct(current.total, previous.total)
+      }
+    };
+  }
+
+  // Splits a financial year into its quarters or months
+  groupTransactionsByPeriod(granularity = 'month', year = this.getFinancialYear()) {
+    const count = granularity === 'quarter' ? 4 : 12;
+    const kind = granularity === 'quarter' ? 'quarter' : 'month';
+    return Array.from({ length: count }, (_, i) => {
+      const period = kind === 'quarter' ? { kind, year, quarter: i + 1 } : { kind, year, month: i };
+      const range = this.getPeriodRange(period);
+      return { period, ...range, ...this.summarizeTransactions(this.getTransactionsInRange(range)) };
+    });
+  }
+
+  // Month-by-month totals across the financial year containing `period`
+  getMonthlyTrend(period = { kind: 'all' }) {
+    const year = period.kind !== 'all' && period.year !== undefined ? Number(period.year) : this.getFinancialYear();
+    const range = this.getPeriodRange({ kind: 'fy', year });
+    const buckets = aggregateByMonth(this.getTransactionsInRange(range), range.start, 12);
+    return { range, buckets, cumulative: cumulativeTotals(buckets) };
+  }
+
+  // Tax paid in `period` grouped by 'category' or 'vendor'
+  getTaxBreakdown(field, period = { kind: 'all' }) {
+    return breakdownBy(this.getTransactionsInRange(this.getPeriodRange(period)), field);
+  }
+
+  // ==========================================
+  // Business Ledger
+  // ==========================================
+  // Income and expenses for freelancers and small companies. Amounts are
+  // net of VAT; the VAT charged or paid is the entry's tax amount.
+  async addLedgerEntry(entry) {
+    const type = entry.type === 'Income' ? 'Income' : 'Expense';
+    const categories = type === 'Income' ? INCOME_CATEGORIES : EXPENSE_CATEGORIES.map(c => c.name);
+    const amount = Number(entry.amount);
+    const currency = entry.currency || BASE_CURRENCY;
+    if (!(amount > 0)) return { success: false, message: 'Enter an amount greater than zero' };
+    if (!categories.includes(entry.category)) return { success: false, message: 'Pick a category from the list' };
+    return this.addTransaction({
+      type,
+      date: entry.date || undefined,
+      ...(currency === BASE_CURRENCY ? { baseAmount: amount } : { currency, originalAmount: amount }),
+      rate: entry.vat ? getVATRate(entry.date || new Date()) : 0,
+      category: entry.category,
+      vendor: entry.party || '',
+      details: entry.details || '',
+      source: 'manual'
+    });
+  }
+
+  // Ledger entries plus VAT receipts, which can be claimed as business
+  // purchases; newest first
+  getLedgerEntries(range = { start: null, end: null }) {
+    return this.transactions
+      .filter(tx => {
+        if (isTaxTransaction(tx) && tx.type !== 'VAT') return false;
+        if (!range.start) return true;
+        const date = new Date(tx.date);
+        return date >= range.start && date < range.end;
+      })
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  // Marks captured VAT receipts as business purchases (input VAT credit)
+  async setBusinessUse(localIds, businessUse) {
+    for (const localId of localIds) {
+      const tx = this.findTransaction(localId);
+      if (tx && tx.type === 'VAT' && Boolean(tx.businessUse) !== businessUse) {
+        await this.updateTransaction(localId, { businessUse });
+      }
+    }
+  }
+
+  // Ledger totals, monthly VAT returns and both income tax estimates for a
+  // financial year. `options`: { reliefs } for PIT, { fixedAssets } for CIT.
+  getBusinessSummary(year = this.getFinancialYear(), options = {}) {
+    const range = this.getPeriodRange({ kind: 'fy', year });
+    const entries = this.getLedgerEntries(range);
+    const ledger = summarizeLedger(entries);
+    const vatReturns = monthlyVatReturns(entries, range.start, 12);
+    const taxYear = range.start.getFullYear();
+    return {
+      range,
+      taxYear,
+      ledger,
+      vatReturns,
+      vatPayable: roundMoney(vatReturns.reduce((sum, m) => sum + m.payable, 0)),
+      vatCredit: vatReturns[vatReturns.length - 1].creditCarriedForward,
+      pit: this.calculatePAYE(ledger.profit, options.reliefs || {}, taxYear),
+      cit: estimateCIT({ turnover: ledger.income, profit: ledger.profit, fixedAssets: Number(options.fixedAssets) || 0, taxYear })
+    };
+  }
+
+  // ==========================================
+  // Reports & Export
+  // ==========================================
+  getTaxReport(period = { kind: 'fy' }) {
+    const range = this.getPeriodRange(period);
+    return buildTaxReport({
+      taxpayer: this.getUser(),
+      range,
+      transactions: this.getTransactionsInRange(range),
+      calculatePAYE: (gross, reliefs, taxYear) => this.calculatePAYE(gross, reliefs, taxYear)
+    });
+  }
+
+  // format: 'pdf' opens a print-ready page (save as PDF from the print
+  // dialog); 'csv' and 'json' download a file for the accountant.
+  exportTaxReport(period = { kind: 'fy' }, format = 'pdf') {
+    const report = this.getTaxReport(period);
+    const fileName = `taxtrack-report-${report.period.label.replace(/[^\w]+/g, '-').replace(/^-|-$/g, '').toLowerCase()}`;
+
+    if (format === 'csv') return this.downloadFile(`${fileName}.csv`, reportToCSV(report), 'text/csv');
+    if (format === 'json') return this.downloadFile(`${fileName}.json`, reportToJSON(report), 'application/json');
+
+    const win = window.open('', '_blank');
+    if (!win) return false;
+    win.document.write(renderReportHTML(report));
+    win.document.close();
+    win.focus();
+    win.print();
+    return true;
+  }
+
+  // Raw dump of every transaction, one row each
+  exportTransactionsCSV() {
+    const transactions = this.getTransactions();
+    if (!transactions.length) return false;
+    const columns = ['date', 'type', 'baseAmount', 'rate', 'taxAmount', 'category', 'vendor', 'source', 'details', 'reference', 'syncStatus'];
+    const rows = transactions.map(tx => columns.map(col => csvCell(col === 'date' ? String(tx.date).slice(0, 10) : tx[col])).join(','));
+    return this.downloadFile('taxtrack-transactions.csv', [columns.join(',')].concat(rows).join('\r\n'), 'text/csv');
+  }
+
+  downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+  }
+
+  // ==========================================
+  // Filing Calendar & Notifications
+  // ==========================================
+  // Deadlines come from the profile's employment type and state and the
+  // financial year setting. Filed items, digests and the alerts already
+  // sent are kept per user in localStorage.
+  getFilingCalendar(range) {
+    const user = this.getUser();
+    const items = buildFilingCalendar({
+      employment: user.employment,
+      state: user.state,
+      fyStartMonth: this.getFinancialYearStartMonth(),
+      from: range.start,
+      // `end` is exclusive
+      to: new Date(range.end.getTime() - 1),
+      formatFinancialYear: (year) => this.formatFinancialYear(year)
+    });
+    return annotateFilings(items, { filed: this.readOwned(STORAGE_KEYS.FILINGS) });
+  }
+
+  setObligationFiled(id, filed = true) {
+    const ids = this.readOwned(STORAGE_KEYS.FILINGS).filter(x => x !== id);
+    this.writeOwned(STORAGE_KEYS.FILINGS, filed ? [...ids, id] : ids);
+    window.dispatchEvent(new CustomEvent('taxtrack:notifications'));
+  }
+
+  // Open deadlines around today plus digests. `unread` is the badge count:
+  // overdue and due-soon deadlines and unread digests. Deadlines from
+  // before the account existed are left to the calendar page.
+  getNotifications(now = new Date()) {
+    const day = startOfDay(now);
+    const lookback = new Date(day.getFullYear(), day.getMonth(), day.getDate() - NOTIFICATION_CONFIG.lookbackDays);
+    const joined = this.user && this.user.createdAt ? startOfDay(this.user.createdAt) : null;
+    const deadlines = this.getFilingCalendar({
+      start: joined && joined > lookback ? joined : lookback,
+      end: new Date(day.getFullYear(), day.getMonth(), day.getDate() + NOTIFICATION_CONFIG.lookaheadDays + 1)
+    }).filter(item => item.status !== 'filed');
+    const messages = this.readOwned(STORAGE_KEYS.NOTIFICATIONS);
+    const unread = deadlines.filter(item => item.status === 'overdue' || item.status === 'due-soon').length
+      + messages.filter(m => !m.read).length;
+    return { deadlines, messages, unread };
+  }
+
+  markNotificationsRead() {
+    const messages = this.readOwned(STORAGE_KEYS.NOTIFICATIONS);
+    if (!messages.some(m => !m.read)) return;
+    this.writeOwned(STORAGE_KEYS.NOTIFICATIONS, messages.map(m => ({ ...m, read: true })));
+    window.dispatchEvent(new CustomEvent('taxtrack:notifications'));
+  }
+
+  dismissNotification(id) {
+    this.writeOwned(STORAGE_KEYS.NOTIFICATIONS, this.readOwned(STORAGE_KEYS.NOTIFICATIONS).filter(m => m.id !== id));
+    window.dispatchEvent(new CustomEvent('taxtrack:notifications'));
+  }
+
+  // Builds the digest if weekly reports are on and a week has passed since
+  // the last one (or `force`). Emailed too when email notifications are on.
+  async generateWeeklyDigest({ force = false, now = new Date() } = {}) {
+    if (!this.user || !this.settings.weeklyReports) return null;
+    const messages = this.readOwned(STORAGE_KEYS.NOTIFICATIONS);
+    const last = messages.find(m => m.kind === 'digest');
+    if (!force && last && now - new Date(last.createdAt) < NOTIFICATION_CONFIG.digestIntervalDays * 24 * 60 * 60 * 1000) {
+      return null;
+    }
+
+    const day = startOfDay(now);
+    const weekStart = new Date(day.getFullYear(), day.getMonth(), day.getDate() - 7);
+    const lookahead = NOTIFICATION_CONFIG.digestLookaheadDays;
+    const digest = buildWeeklyDigest({
+      now,
+      week: this.summarizeTransactions(this.getTransactionsInRange({ start: weekStart, end: now })),
+      yearToDate: this.getTaxSummary({ kind: 'fy' }),
+      yearLabel: this.formatFinancialYear(this.getFinancialYear(now)),
+      deadlines: this.getNotifications(now).deadlines.filter(item => item.daysLeft <= lookahead),
+      lookaheadDays: lookahead,
+      formatMoney: (n) => this.formatCurrency(n)
+    });
+
+    const message = { id: generateId(), kind: 'digest', ...digest, read: false };
+    this.writeOwned(STORAGE_KEYS.NOTIFICATIONS, [message, ...messages].slice(0, NOTIFICATION_CONFIG.maxMessages));
+    window.dispatchEvent(new CustomEvent('taxtrack:notifications'));
+    this.showBrowserNotification(digest.title, { body: digest.body, tag: 'weekly-digest' });
+    if (this.settings.emailNotifications) await this.emailNotification(digest.title, digest.body);
+    return message;
+  }
+
+  // Alerts once per deadline and status (due soon, then overdue), by
+  // browser notification and, if turned on, by email
+  async checkDeadlines(now = new Date()) {
+    if (!this.isLoggedIn()) return;
+    const { deadlines } = this.getNotifications(now);
+    const alerts = this.readOwned(STORAGE_KEYS.ALERTS);
+    const fresh = deadlines.filter(item => (item.status === 'overdue' || item.status === 'due-soon')
+      && !alerts.some(a => a.id === item.id && a.status === item.status));
+
+    if (fresh.length) {
+      fresh.forEach(item => this.showBrowserNotification(`${item.title} — ${item.period}`, {
+        body: `${describeDeadline(item)} (${formatDate(item.dueDate)}). File with ${item.authority}.`,
+        tag: item.id
+      }));
+      if (this.settings.emailNotifications) {
+        const subject = fresh.length === 1 ? `${fresh[0].title} is ${fresh[0].status === 'overdue' ? 'overdue' : 'due soon'}` : `${fresh.length} tax deadlines need attention`;
+        await this.emailNotification(subject, fresh.map(item => `- ${item.title} (${item.period}): ${describeDeadline(item)}, ${formatDate(item.dueDate)}`).join('\n'));
+      }
+      // Forget deadlines that have left the window or been filed
+      const kept = alerts.filter(a => deadlines.some(item => item.id === a.id) && !fresh.some(item => item.id === a.id));
+      this.writeOwned(STORAGE_KEYS.ALERTS, [...kept, ...fresh.map(item => ({ id: item.id, status: item.status, at: now.toISOString() }))]);
+    }
+
+    await this.generateWeeklyDigest({ now });
+  }
+
+  // Checks now and then hourly while the dashboard is open
+  startNotificationChecks() {
+    clearInterval(this.notificationTimer);
+    this.checkDeadlines();
+    this.notificationTimer = setInterval(() => this.checkDeadlines(), NOTIFICATION_CONFIG.checkIntervalMs);
+  }
+
+  async emailNotification(subject, body) {
+    try {
+      const res = await this.apiFetch('/api/notifications/email', { method: 'POST', json: { subject, body } });
+      return res.ok;
+    } catch (err) {
+      console.error('Notification email error:', err);
+      return false;
+    }
+  }
+
+  // ==========================================
+  // Browser Notifications
+  // ==========================================
+  // 'granted' | 'denied' | 'default' | 'unsupported'
+  getBrowserNotificationPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+  }
+
+  registerServiceWorker() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return Promise.resolve(null);
+    if (!this.serviceWorker) {
+      this.serviceWorker = navigator.serviceWorker.register(NOTIFICATION_CONFIG.serviceWorker)
+        .then((registration) => {
+          this.watchForUpdates(registration);
+          return navigator.serviceWorker.ready;
+        })
+        .catch(err => {
+          console.error('Service worker registration failed:', err);
+          return null;
+        });
+    }
+    return this.serviceWorker;
+  }
+
+  // Must be called from a user gesture (a click) or browsers ignore it
+  async enableBrowserNotifications() {
+    if (this.getBrowserNotificationPermission() === 'unsupported') {
+      return { success: false, message: 'This browser does not support notifications' };
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      return { success: false, message: 'Notifications are blocked. Allow them for this site in your browser settings.' };
+    }
+    await this.registerServiceWorker();
+    this.checkDeadlines();
+    return { success: true, message: 'Browser notifications turned on' };
+  }
+
+  // Through the service worker where there is one, so a click can bring
+  // the dashboard back; a plain Notification otherwise
+  async showBrowserNotification(title, options = {}) {
+    if (this.getBrowserNotificationPermission() !== 'granted') return;
+    try {
+      const registration = await this.registerServiceWorker();
+      const payload = { ...options, data: { url: 'dashboard.html' } };
+      if (registration) await registration.showNotification(title, payload);
+      else new Notification(title, payload);
+    } catch (err) {
+      console.error('Browser notification error:', err);
+    }
+  }
+
+  // ==========================================
+  // Offline & Updates
+  // ==========================================
+  // The service worker (registered on every page) serves the app from its
+  // cache, so pages open offline; the banner says why nothing syncs.
+  bindConnectionStatus() {
+    if (typeof document === 'undefined' || typeof navigator === 'undefined') return;
+    const update = () => {
+      let banner = document.getElementById('offlineBanner');
+      if (navigator.onLine) {
+        if (banner) banner.remove();
+        return;
+      }
+      if (banner) return;
+      if (!document.getElementById('offline-styles')) {
+        const styles = document.createElement('style');
+        styles.id = 'offline-styles';
+        styles.textContent = `
+          .offline-banner { position: fixed; top: 12px; left: 50%; transform: translateX(-50%); padding: 8px 18px; background: #feca57; border-radius: 999px; color: #0a1628; font-family: 'Outfit', sans-serif; font-size: 0.9rem; font-weight: 500; display: flex; align-items: center; gap: 8px; box-shadow: 0 8px 32px rgba(0,0,0,0.3); z-index: 10001; max-width: calc(100% - 24px); }
+        `;
+        document.head.appendChild(styles);
+      }
+      banner = document.createElement('div');
+      banner.id = 'offlineBanner';
+      banner.className = 'offline-banner';
+      banner.setAttribute('role', 'status');
+      banner.innerHTML = '<i class="fas fa-wifi"></i><span>You\'re offline. Changes are kept on this device and sync when you reconnect.</span>';
+      document.body.appendChild(banner);
+    };
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', update);
+    else update();
+  }
+
+  // A new version installs in the background and waits; the user decides
+  // when to reload onto it. Installed apps can stay open for days, so
+  // coming back to one checks for a new version too.
+  watchForUpdates(registration) {
+    const prompt = (worker) => {
+      // The first install has no older version to replace
+      if (!navigator.serviceWorker.controller) return;
+      this.showToast('A new version of TaxTrack is ready', 'info', {
+        duration: 0,
+        action: { label: 'Refresh', onClick: () => this.applyUpdate(worker) }
+      });
+    };
+    if (registration.waiting) prompt(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed') prompt(worker);
+      });
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') registration.update().catch(() => {});
+    });
+  }
+
+  applyUpdate(worker) {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  // ==========================================
+  // Receipts & CSV Upload
+  // ==========================================
+  async uploadFile(file, type = 'receipt') {
+    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('type', type);
+
+    try {
+      const res = await this.apiFetch('/api/receipts', { method: 'POST', body: formData });
+      const data = await res.json();
+      if (res.ok) {
+        const added = (data.transactions || []).map(tx => this.normalizeTransaction(tx));
+        this.transactions.push(...added);
+        this.saveLedger();
+        return { success: true, transactions: added };
+      } else {
+        return { success: false, message: data.message || 'Upload failed' };
+      }
+    } catch (err) {
+      console.error('Upload error, queueing for later:', err);
+      return this.queueUpload(file, type);
+    }
+  }
+
+  async queueUpload(file, type) {
+    const uploadKey = generateId();
+    try {
+      await idbPut(IDB_STORES.UPLOADS, uploadKey, file);
+    } catch (err) {
+      console.error('Could not store upload offline:', err);
+      return { success: false, message: 'Network error' };
+    }
+    this.enqueueSync({ action: 'upload', uploadKey, fileName: file.name, type, localIds: [] });
+    return { success: true, queued: true, transactions: [], message: 'Saved offline — will upload when back online' };
+  }
+
+  // ==========================================
+  // Receipt Vault
+  // ==========================================
+  // Every scanned or uploaded receipt is kept as proof for audits: the file
+  // in IndexedDB (and on the server), its details in the owned list below.
+  // Transactions point at their receipt through `receiptId`.
+  saveReceipts() {
+    this.writeOwned(STORAGE_KEYS.RECEIPTS, this.receipts);
+    window.dispatchEvent(new CustomEvent('taxtrack:receipts'));
+  }
+
+  getReceipts() {
+    return this.receipts.slice().sort((a, b) => String(b.date || b.createdAt).localeCompare(String(a.date || a.createdAt)));
+  }
+
+  findReceipt(id) {
+    return this.receipts.find(r => r.id === id) || null;
+  }
+
+  getReceiptTransactions(id) {
+    return this.transactions.filter(tx => tx.receiptId === id);
+  }
+
+  // `details` are what the receipt shows: { vendor, date, total, source }.
+  // A restore also passes the receipt's own `id` and `createdAt`.
+  async saveReceipt(file, details = {}) {
+    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
+    const receipt = {
+      id: details.id || generateId(),
+      serverId: null,
+      fileName: file.name || 'receipt',
+      mimeType: file.type || '',
+      size: file.size || 0,
+      vendor: details.vendor || '',
+      date: details.date ? isoDate(details.date) : null,
+      total: Number(details.total) > 0 ? Math.round(Number(details.total) * 100) / 100 : null,
+      source: details.source === 'OCR' ? 'OCR' : 'upload',
+      createdAt: details.createdAt || new Date().toISOString(),
+      syncStatus: 'pending'
+    };
+    try {
+      await idbPut(IDB_STORES.RECEIPTS, receipt.id, file);
+    } catch (err) {
+      console.error('Could not store receipt:', err);
+      return { success: false, message: 'Could not save the receipt on this device' };
+    }
+    this.receipts.push(receipt);
+    this.saveReceipts();
+    this.enqueueSync({ action: 'upload', receiptId: receipt.id, fileName: receipt.fileName, type: 'receipt', localIds: [] });
+    return { success: true, receipt };
+  }
+
+  async updateReceipt(id, changes) {
+    const receipt = this.findReceipt(id);
+    if (!receipt) return { success: false, message: 'Receipt not found' };
+    if (changes.vendor !== undefined) receipt.vendor = String(changes.vendor).trim();
+    if (changes.date !== undefined) receipt.date = changes.date ? isoDate(changes.date) : null;
+    if (changes.total !== undefined) receipt.total = Number(changes.total) > 0 ? Math.round(Number(changes.total) * 100) / 100 : null;
+    this.saveReceipts();
+    return { success: true, receipt };
+  }
+
+  // Links (or with `null`, unlinks) transactions to a receipt
+  async linkReceipt(receiptId, localIds) {
+    const receipt = receiptId ? this.findReceipt(receiptId) : null;
+    if (receiptId && !receipt) return { success: false, message: 'Receipt not found' };
+    for (const localId of localIds) {
+      const result = await this.updateTransaction(localId, { receiptId, receiptName: receipt ? receipt.fileName : null });
+      if (!result.success) return result;
+    }
+    return { success: true };
+  }
+
+  // The file as a Blob: from this device, or fetched from the server (and
+  // kept) for receipts scanned elsewhere. Null when neither has it.
+  async getReceiptFile(id) {
+    const receipt = this.findReceipt(id);
+    if (!receipt) return null;
+    try {
+      const local = await idbGet(IDB_STORES.RECEIPTS, id);
+      if (local) return local;
+    } catch (err) {
+      console.error('Could not read receipt file:', err);
+    }
+    if (!receipt.serverId) return null;
+    try {
+      const res = await this.apiFetch(`/api/receipts/${encodeURIComponent(receipt.serverId)}/file`);
+      if (!res.ok) return null;
+      const file = await res.blob();
+      await idbPut(IDB_STORES.RECEIPTS, id, file).catch(() => {});
+      return file;
+    } catch (err) {
+      console.error('Fetch receipt file error:', err);
+      return null;
+    }
+  }
+
+  // The linked transactions stay; they just lose their receipt
+  async deleteReceipt(id) {
+    const receipt = this.findReceipt(id);
+    if (!receipt) return { success: false, message: 'Receipt not found' };
+    await this.linkReceipt(null, this.getReceiptTransactions(id).map(tx => tx.localId));
+
+    this.receipts = this.receipts.filter(r => r !== receipt);
+    this.syncQueue = this.syncQueue.filter(op => op === this.syncInFlight || op.receiptId !== id);
+    if (receipt.serverId) {
+      this.syncQueue.push({ action: 'deleteReceipt', serverId: receipt.serverId, localIds: [], attempts: 0, nextAttemptAt: 0, status: 'pending' });
+    }
+    await idbDelete(IDB_STORES.RECEIPTS, id).catch(err => console.error('Could not delete receipt file:', err));
+    this.saveReceipts();
+    this.saveLedger();
+    this.processSyncQueue();
+    return { success: true };
+  }
+
+  // Adds receipts saved on other devices to the vault; their files are
+  // fetched when first opened
+  async fetchReceipts() {
+    if (!this.user || !this.user.token) return this.getReceipts();
+    try {
+      const res = await this.apiFetch('/api/receipts');
+      const data = await res.json();
+      if (res.ok && Array.isArray(data)) {
+        const known = new Set(this.receipts.flatMap(r => [r.id, r.serverId]));
+        const added = data
+          .filter(r => isReceiptId(r.receiptId || r._id || r.id) && isReceiptId(r._id || r.id))
+          .filter(r => !known.has(r.receiptId) && !known.has(r._id || r.id))
+          .map(r => ({
+            id: r.receiptId || r._id || r.id,
+            serverId: r._id || r.id,
+            fileName: r.fileName || 'receipt',
+            mimeType: r.mimeType || '',
+            size: r.size || 0,
+            vendor: r.vendor || '',
+            date: r.date || null,
+            total: Number(r.total) > 0 ? Number(r.total) : null,
+            source: r.source === 'OCR' ? 'OCR' : 'upload',
+            createdAt: r.createdAt || new Date().toISOString(),
+            syncStatus: 'synced'
+          }));
+        if (added.length) {
+          this.receipts.push(...added);
+          this.saveReceipts();
+        }
+      }
+    } catch (err) {
+      console.error('Fetch receipts error:', err);
+    }
+    return this.getReceipts();
+  }
+
+  // Matches the vendor (or file name) text, a YYYY-MM-DD date range and a
+  // total range; blank criteria match everything
+  searchReceipts({ query = '', from = '', to = '', minAmount = '', maxAmount = '' } = {}) {
+    const text = String(query).trim().toLowerCase();
+    const min = minAmount === '' || minAmount === null ? null : Number(minAmount);
+    const max = maxAmount === '' || maxAmount === null ? null : Number(maxAmount);
+    return this.getReceipts().filter(r => {
+      if (text && !`${r.vendor} ${r.fileName}`.toLowerCase().includes(text)) return false;
+      if ((from || to) && !r.date) return false;
+      if (from && r.date < from) return false;
+      if (to && r.date > to) return false;
+      if ((min !== null || max !== null) && r.total === null) return false;
+      if (min !== null && r.total < min) return false;
+      if (max !== null && r.total > max) return false;
+      return true;
+    });
+  }
+
+  // ==========================================
+  // Backup & Restore
+  // ==========================================
+  // Everything the user owns here (profile, settings, ledger, receipt files,
+  // rates, filed deadlines, CSV presets) in one passphrase-encrypted file.
+  // See backup.js for the archive format.
+  async collectBackupData() {
+    const profile = Object.fromEntries(BACKUP_PROFILE_FIELDS.map(f => [f, this.user[f] ?? '']));
+    const transactions = this.transactions.map(({ syncStatus, syncError, ...tx }) => tx);
+    const receipts = [];
+    for (const { syncStatus, serverId, ...receipt } of this.receipts) {
+      const file = await this.getReceiptFile(receipt.id);
+      receipts.push({
+        ...receipt,
+        file: file ? { type: file.type || receipt.mimeType, data: bytesToBase64(new Uint8Array(await file.arrayBuffer())) } : null
+      });
+    }
+    return {
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      account: { email: this.user.email },
+      profile,
+      settings: this.getSettings(),
+      transactions,
+      receipts,
+      exchangeRates: this.getExchangeRates(),
+      filings: this.readOwned(STORAGE_KEYS.FILINGS),
+      payroll: this.getPayroll(),
+      csvPresets: this.getCSVPresets()
+    };
+  }
+
+  async createBackup(passphrase) {
+    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
+    if (String(passphrase || '').length < BACKUP_MIN_PASSPHRASE) {
+      return { success: false, message: `Use a passphrase of at least ${BACKUP_MIN_PASSPHRASE} characters.` };
+    }
+    try {
+      const payload = await this.collectBackupData();
+      const envelope = await encryptBackup(payload, passphrase);
+      const fileName = `taxtrack-backup-${isoDate(payload.createdAt)}.taxtrack`;
+      this.downloadFile(fileName, JSON.stringify(envelope), 'application/json');
+      const missing = payload.receipts.filter(r => !r.file).length;
+      return {
+        success: true,
+        fileName,
+        counts: { transactions: payload.transactions.length, receipts: payload.receipts.length },
+        message: missing ? `${missing} receipt file(s) could not be read and were saved without their image.` : 'Backup downloaded'
+      };
+    } catch (err) {
+      console.error('Backup error:', err);
+      return { success: false, message: 'Could not create the backup' };
+    }
+  }
+
+  // Decrypts and checks a backup file. Resolves with { success, backup,
+  // preview } where `preview` is previewRestore()'s per-section summary.
+  async readBackup(text, passphrase) {
+    const parsed = parseBackupFile(text);
+    if (parsed.error) return { success: false, message: parsed.error };
+    const decrypted = await decryptBackup(parsed.envelope, passphrase);
+    if (decrypted.error) return { success: false, message: decrypted.error };
+    const backup = decrypted.payload;
+    return { success: true, backup, preview: previewRestore(this.currentBackupState(), backup) };
+  }
+
+  currentBackupState() {
+    return {
+      profile: this.getUser(),
+      settings: this.getSettings(),
+      transactions: this.transactions,
+      receipts: this.receipts,
+      exchangeRates: this.exchangeRates,
+      filings: this.readOwned(STORAGE_KEYS.FILINGS),
+      payroll: this.getPayroll(),
+      csvPresets: this.getCSVPresets()
+    };
+  }
+
+  // mode 'merge' adds what isn't here yet and keeps the profile and
+  // settings; 'replace' makes this account match the backup, deleting what
+  // isn't in it (on the server too). Restored records sync as new ones.
+  async restoreBackup(backup, mode = 'merge') {
+    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
+    const invalid = validateBackupPayload(backup);
+    if (invalid) return { success: false, message: invalid };
+    const replace = mode === 'replace';
+    const warnings = [];
+
+    // Everything to restore is built and checked before anything is
+    // deleted, so a bad record can't leave a replaced account empty
+    const incoming = (key, current) => (replace ? backup[key] : newBackupItems(key, current, backup[key]));
+    const receipts = [];
+    for (const { file, ...receipt } of incoming('receipts', this.receipts)) {
+      if (!file) {
+        warnings.push(`${receipt.fileName} has no image in the backup`);
+        continue;
+      }
+      try {
+        const blob = new Blob([base64ToBytes(file.data)], { type: file.type || receipt.mimeType });
+        receipts.push({ receipt, file: new File([blob], receipt.fileName, { type: blob.type }) });
+      } catch (e) {
+        return { success: false, message: `Nothing was restored: the image for ${receipt.fileName} is damaged.`, warnings };
+      }
+    }
+    const transactions = incoming('transactions', this.transactions)
+      .map(({ id, _id, localId, syncStatus, syncError, ...tx }) => tx);
+    const checked = this.prepareTransactions(transactions);
+    if (checked.error) return { success: false, message: `Nothing was restored: ${checked.error}`, warnings };
+
+    if (replace) {
+      const result = await this.updateProfile(Object.fromEntries(BACKUP_PROFILE_FIELDS.map(f => [f, backup.profile[f] ?? ''])));
+      if (!result.success) warnings.push(`Profile not restored: ${result.message}`);
+      this.saveSettings(backup.settings);
+      await this.deleteTransactions(this.transactions.map(tx => tx.localId));
+      for (const receipt of this.receipts.slice()) await this.deleteReceipt(receipt.id);
+    }
+
+    // Receipts first so restored transactions can point at them
+    let receiptCount = 0;
+    for (const { receipt, file } of receipts) {
+      const saved = await this.saveReceipt(file, receipt);
+      if (saved.success) receiptCount++;
+      else warnings.push(`${receipt.fileName}: ${saved.message}`);
+    }
+
+    const added = await this.addTransactions(transactions.map(tx => ({
+      ...tx,
+      receiptId: tx.receiptId && this.findReceipt(tx.receiptId) ? tx.receiptId : null
+    })));
+    if (!added.success) return { success: false, message: added.message, warnings };
+
+    // Rates and CSV presets are shared by everyone using this browser, so
+    // even a replace only adds to them; a replace lets the backup's win
+    this.saveExchangeRates(replace ? mergeRates(this.exchangeRates, backup.exchangeRates) : mergeRates(backup.exchangeRates, this.exchangeRates));
+    const filings = replace ? backup.filings : [...new Set([...this.readOwned(STORAGE_KEYS.FILINGS), ...backup.filings])];
+    this.writeOwned(STORAGE_KEYS.FILINGS, filings);
+    this.savePayroll(replace ? backup.payroll : [...this.getPayroll(), ...newBackupItems('payroll', this.getPayroll(), backup.payroll)]);
+    (replace ? Object.keys(backup.csvPresets) : newBackupItems('csvPresets', this.getCSVPresets(), backup.csvPresets))
+      .forEach(name => this.saveCSVPreset(name, backup.csvPresets[name]));
+    window.dispatchEvent(new CustomEvent('taxtrack:notifications'));
+
+    return {
+      success: true,
+      restored: { transactions: added.transactions.length, receipts: receiptCount },
+      warnings,
+      message: `Restored ${added.transactions.length} transaction(s) and ${receiptCount} receipt(s)`
+    };
+  }
+
+  // ==========================================
+  // Account Deletion
+  // ==========================================
+  // The server deletes the account and its data and reports what it
+  // removed; this device then forgets the account too. `confirmEmail` must
+  // match the account; `password` (and `code` with 2FA) re-authenticate.
+  async deleteAccount({ confirmEmail, password = '', code = '' } = {}) {
+    if (!this.user || !this.user.token) return { success: false, message: 'Not logged in' };
+    if (String(confirmEmail || '').trim().toLowerCase() !== String(this.user.email).toLowerCase()) {
+      return { success: false, message: 'Type your email address exactly to confirm.' };
+    }
+    let removed;
+    try {
+      const res = await this.apiFetch('/api/users/me', { method: 'DELETE', json: { confirmEmail, password, code } });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) return { success: false, message: data.message || 'Could not delete the account' };
+      removed = data.removed || {};
+    } catch (err) {
+      console.error('Delete account error:', err);
+      return { success: false, message: 'Network error' };
+    }
+
+    const local = { transactions: this.transactions.length, receipts: this.receipts.length };
+    await this.clearLocalData();
+    this.clearSession();
+    return { success: true, removed, local };
+  }
+
+  // Forgets everything kept on this device for the signed-in account.
+  // Other accounts' data, and the exchange rates and CSV presets everyone
+  // using this browser shares, stay.
+  async clearLocalData() {
+    const email = this.user && this.user.email;
+    if (email) {
+      OWNED_STORAGE_KEYS.forEach((key) => {
+        // Writing first also drops an older version's blob for this account
+        this.writeOwned(key, []);
+        localStorage.removeItem(this.ownedKey(key));
+      });
+    }
+    [STORAGE_KEYS.USER_LOGGED_IN, STORAGE_KEYS.USER_DATA, STORAGE_KEYS.LAST_ACTIVITY, STORAGE_KEYS.SETTINGS]
+      .forEach(key => localStorage.removeItem(key));
+    if (email && localStorage.getItem('taxtrack_rememberedEmail') === email) localStorage.removeItem('taxtrack_rememberedEmail');
+    const files = [
+      ...this.receipts.map(r => idbDelete(IDB_STORES.RECEIPTS, r.id)),
+      ...this.syncQueue.filter(op => op.uploadKey).map(op => idbDelete(IDB_STORES.UPLOADS, op.uploadKey))
+    ];
+    await Promise.all(files).catch(err => console.error('Could not delete receipt files:', err));
+    this.transactions = [];
+    this.receipts = [];
+    this.syncQueue = [];
+    this.settings = { ...DEFAULT_SETTINGS };
+  }
+
+  // ==========================================
+  // Settings
+  // ==========================================
+  loadSettings() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
+      this.settings = data ? { ...DEFAULT_SETTINGS, ...JSON.parse(data) } : { ...DEFAULT_SETTINGS };
+    } catch (e) {
+      console.error('Error loading settings:', e);
+      this.settings = { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  saveSettings(newSettings) {
+    try {
+      this.settings = { ...this.settings, ...newSettings };
+      localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(this.settings));
+      return true;
+    } catch (e) {
+      console.error('Error saving settings:', e);
+      return false;
+    }
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  // ==========================================
+  // Exchange Rates & Display Currency
+  // ==========================================
+  // Rates are public figures (CBN or entered by hand), so the table is
+  // shared by everyone using this browser rather than kept per user.
+  loadExchangeRates() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEYS.EXCHANGE_RATES) || '[]');
+      this.exchangeRates = Array.isArray(data) ? data : [];
+    } catch (e) {
+      console.error('Error loading exchange rates:', e);
+      this.exchangeRates = [];
+    }
+  }
+
+  saveExchangeRates(rates) {
+    this.exchangeRates = rates;
+    localStorage.setItem(STORAGE_KEYS.EXCHANGE_RATES, JSON.stringify(rates));
+    window.dispatchEvent(new CustomEvent('taxtrack:rates'));
+  }
+
+  getExchangeRates() {
+    return this.exchangeRates.slice();
+  }
+
+  getSupportedCurrencies() {
+    return Object.entries(CURRENCIES).map(([code, info]) => ({ code, ...info }));
+  }
+
+  // The rate in force on `date`: that day's, or the last one before it
+  getExchangeRate(currency, date = new Date()) {
+    return findRate(this.exchangeRates, currency, date);
+  }
+
+  addExchangeRate({ currency, date, rate }) {
+    const entry = { currency, date, rate: Number(rate) };
+    const error = validateRate(entry);
+    if (error) return { success: false, message: error };
+    this.saveExchangeRates(mergeRates(this.exchangeRates, [entry]));
+    return { success: true, message: `${currency} rate for ${formatDate(date)} saved` };
+  }
+
+  deleteExchangeRate(currency, date) {
+    this.saveExchangeRates(this.exchangeRates.filter(r => !(r.currency === currency && r.date === date)));
+  }
+
+  // A CBN rate download or a Date, Currency, Rate CSV. Rates already in
+  // the table for the same currency and day are replaced.
+  importExchangeRatesCSV(text) {
+    const { rates, skipped, error } = parseRatesCSV(text);
+    if (error) return { success: false, message: error };
+    if (!rates.length) return { success: false, message: 'No rates for supported currencies were found in the file' };
+    this.saveExchangeRates(mergeRates(this.exchangeRates, rates));
+    const skippedNote = skipped ? `, skipped ${skipped} row${skipped === 1 ? '' : 's'}` : '';
+    return { success: true, added: rates.length, skipped, message: `Imported ${rates.length} rate${rates.length === 1 ? '' : 's'}${skippedNote}` };
+  }
+
+  // Naira amounts are shown in the display currency at its latest rate, so
+  // every figure on screen is converted the same way. Without a rate for
+  // it the display stays in Naira and `missing` names the currency.
+  getDisplayCurrency() {
+    const currency = this.settings.currency || BASE_CURRENCY;
+    const quote = this.getExchangeRate(currency);
+    if (quote) return { currency, rate: quote.rate, rateDate: quote.date, missing: null };
+    return { currency: BASE_CURRENCY, rate: 1, rateDate: null, missing: currency === BASE_CURRENCY ? null : currency };
+  }
+
+  // A Naira amount in the display currency, for charts and other numbers
+  // shown without formatting
+  toDisplayCurrency(amount) {
+    return Math.round((Number(amount) / this.getDisplayCurrency().rate) * 100) / 100;
+  }
+
+  // `amount` in `currency` as Naira at the rate in force on `date`, or
+  // null when the table has no rate for it
+  convertToNaira(amount, currency, date = new Date()) {
+    const quote = this.getExchangeRate(currency, date);
+    if (!quote) return null;
+    return { amount: Math.round(Number(amount) * quote.rate * 100) / 100, exchangeRate: quote.rate, rateDate: quote.date };
+  }
+
+  // The one formatter for money on screen. `amount` is in Naira unless
+  // `options.currency` says what it is already in (an original amount).
+  formatCurrency(amount, options = {}) {
+    const { currency, ...format } = options;
+    if (currency) return formatMoney(amount, currency, format);
+    return formatMoney(this.toDisplayCurrency(amount), this.getDisplayCurrency().currency, format);
+  }
+
+  // ==========================================
+  // CSV Mapping Presets
+  // ==========================================
+  getCSVPresets() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEYS.CSV_PRESETS) || '{}');
+    } catch (e) {
+      console.error('Error loading CSV presets:', e);
+      return {};
+    }
+  }
+
+  saveCSVPreset(bank, mapping) {
+    try {
+      const presets = this.getCSVPresets();
+      presets[bank] = mapping;
+      localStorage.setItem(STORAGE_KEYS.CSV_PRESETS, JSON.stringify(presets));
+      return true;
+    } catch (e) {
+      console.error('Error saving CSV preset:', e);
+      return false;
+    }
+  }
+
+  // ==========================================
+  // UI Helpers
+  // ==========================================
+  updateUIForAuthState() {
+    const isLoggedIn = this.isLoggedIn();
+    const signInLinks = document.querySelectorAll('a[href="login.html"]');
+    const dashboardLinks = document.querySelectorAll('a[href="dashboard.html"]');
+
+    if (isLoggedIn && this.user) {
+      signInLinks.forEach(link => {
+        link.href = 'dashboard.html';
+        link.innerHTML = `<i class="fas fa-user-circle"></i> Dashboard`;
+      });
+    }
+
+    // <el data-role="admin support"> is shown only to those roles
+    document.querySelectorAll('[data-role]').forEach(el => {
+      el.hidden = !this.hasRole(...el.dataset.role.split(/\s+/));
+    });
+  }
+
+  showToast(message, type = 'success', options = {}) {
+    const { action = null, duration = 3000 } = options;
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.innerHTML = `<i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
+      <span>${message}</span>`;
+    if (!document.getElementById('toast-styles')) {
+      const styles = document.createElement('style');
+      styles.id = 'toast-styles';
+      styles.textContent = `
+        .toast { position: fixed; bottom: 24px; right: 24px; padding: 16px 24px; background: rgba(19, 34, 56, 0.95); border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 12px; color: #fff; font-family: 'Outfit', sans-serif; font-size: 0.95rem; display: flex; align-items: center; gap: 12px; box-shadow: 0 8px 32px rgba(0,0,0,0.3); z-index:10000; animation: slideIn 0.3s ease-out; }
+        .toast-success { border-left: 4px solid #00d4aa; } .toast-success i { color: #00d4aa; }
+        .toast-error { border-left: 4px solid #ff6b6b; } .toast-error i { color: #ff6b6b; }
+        .toast-info { border-left: 4px solid #74b9ff; } .toast-info i { color: #74b9ff; }
+        .toast-action { margin-left: 8px; padding: 6px 12px; background: transparent; border: 1px solid #00d4aa; border-radius: 8px; color: #00d4aa; font-family: inherit; font-weight: 600; cursor: pointer; }
+        .toast-action:hover { background: rgba(0, 212, 170, 0.15); }
+        @keyframes slideIn { from { transform: translateX(100%); opacity:0; } to { transform: translateX(0); opacity:1; } }
+        @keyframes slideOut { from { transform: translateX(0); opacity:1; } to { transform: translateX(100%); opacity:0; } }
+      `;
+      document.head.appendChild(styles);
+    }
+    const dismiss = () => {
+      clearTimeout(timer);
+      toast.style.animation = 'slideOut 0.3s ease-out forwards';
+      setTimeout(() => toast.remove(), 300);
+    };
+    if (action) {
+      const btn = document.createElement('button');
+      btn.className = 'toast-action';
+      btn.textContent = action.label;
+      btn.addEventListener('click', () => {
+        action.onClick();
+        dismiss();
+      });
+      toast.appendChild(btn);
+    }
+    document.body.appendChild(toast);
+    // A duration of 0 keeps the toast up until it is used
+    const timer = duration ? setTimeout(dismiss, duration) : null;
+    return dismiss;
+  }
+
+  requireAuth() {
+    if (!this.isLoggedIn()) {
+      window.location.href = 'login.html';
+      return false;
+    }
+    return true;
+  }
+
+  redirectIfLoggedIn(destination = 'dashboard.html') {
+    if (this.isLoggedIn()) {
+      window.location.href = destination;
+      return true;
+    }
+    return false;
   }
 
   // ==========================================
@@ -295,7 +2587,8 @@ class TaxTrackApp {
     const loginForm = document.getElementById('loginForm');
     const signupForm = document.getElementById('signupForm');
 
-    if (loginForm) {
+    // login.html runs its own handler for remember-me and the 2FA step
+    if (loginForm && !loginForm.dataset.pageHandler) {
       loginForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const email = document.getElementById('email').value;
@@ -334,5 +2627,5 @@ function formatDate(dateStr) { return new Date(dateStr).toLocaleDateString('en-N
 function generateId() { return Date.now().toString(36) + Math.random().toString(36).substr(2); }
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { TaxTrackApp, STORAGE_KEYS };
+  module.exports = { TaxTrackApp, STORAGE_KEYS, TRANSACTION_TYPES, TRANSACTION_SOURCES, TRANSACTION_CATEGORIES };
 }
@@ -0,0 +1,235 @@
+/**
+ * TaxTrack NG - Backup
+ * Passphrase-encrypted backup archives (WebCrypto AES-GCM), their validation, and the restore preview
+ */
+
+// ============================================
+// Archive Format
+// ============================================
+// The file is a JSON envelope; only `data` is encrypted, so the format and
+// version can be checked before asking for the passphrase.
+//   { format, version, createdAt, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data }
+// Bump BACKUP_VERSION when the payload shape changes and teach
+// upgradeBackupPayload() to read the older one.
+const BACKUP_FORMAT = 'taxtrack-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 310000 };
+// The iteration counts a file may ask for: fewer is too weak, more would
+// hang the tab while the key is derived
+const BACKUP_KDF_ITERATIONS = { min: 100000, max: 1000000 };
+const BACKUP_MIN_PASSPHRASE = 8;
+
+// What a backup holds, in the order the restore preview lists it. `shared`
+// sections belong to everyone using the browser, so a replace adds to them.
+const BACKUP_SECTIONS = [
+  { key: 'profile', label: 'Profile' },
+  { key: 'settings', label: 'Settings' },
+  { key: 'transactions', label: 'Transactions' },
+  { key: 'receipts', label: 'Receipts' },
+  { key: 'exchangeRates', label: 'Exchange rates', shared: true },
+  { key: 'filings', label: 'Filed deadlines' },
+  { key: 'payroll', label: 'Payslips' },
+  { key: 'csvPresets', label: 'CSV presets', shared: true }
+];
+
+// Profile fields a user can set; email and role belong to the account
+const BACKUP_PROFILE_FIELDS = ['firstName', 'lastName', 'phone', 'dob', 'employment', 'company', 'taxId', 'taxOffice', 'state'];
+
+// Receipt ids end up in the page's markup, so only the app's own shapes pass
+const BACKUP_RECEIPT_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+// ============================================
+// Encoding
+// ============================================
+// Chunked so large receipt images don't overflow the argument limit
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// ============================================
+// Encryption
+// ============================================
+async function deriveBackupKey(passphrase, salt, kdf = BACKUP_KDF) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptBackup(payload, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt);
+  const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: payload.createdAt,
+    kdf: { ...BACKUP_KDF, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(new Uint8Array(ciphertext))
+  };
+}
+
+// The file's key settings are its own, so only ours are accepted. Returns
+// an error message or null.
+function backupKdfError(kdf) {
+  const ok = kdf && kdf.name === BACKUP_KDF.name && kdf.hash === BACKUP_KDF.hash && typeof kdf.salt === 'string'
+    && Number.isInteger(kdf.iterations)
+    && kdf.iterations >= BACKUP_KDF_ITERATIONS.min && kdf.iterations <= BACKUP_KDF_ITERATIONS.max;
+  return ok ? null : 'This backup\'s encryption settings are not ones TaxTrack uses.';
+}
+
+// Returns { envelope } or { error } for a file's text
+function parseBackupFile(text) {
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch (e) {
+    return { error: 'This file is not a TaxTrack backup.' };
+  }
+  if (!envelope || envelope.format !== BACKUP_FORMAT || !envelope.data || !envelope.kdf || !envelope.cipher) {
+    return { error: 'This file is not a TaxTrack backup.' };
+  }
+  if (!Number.isInteger(envelope.version) || envelope.version < 1) return { error: 'This backup has no valid version number.' };
+  if (envelope.version > BACKUP_VERSION) {
+    return { error: `This backup was made by a newer version of TaxTrack (format ${envelope.version}). Update the app and try again.` };
+  }
+  const kdfError = backupKdfError(envelope.kdf);
+  if (kdfError) return { error: kdfError };
+  return { envelope };
+}
+
+// Returns { payload } or { error }. AES-GCM fails outright on a wrong
+// passphrase or a tampered file, so neither can restore garbage.
+async function decryptBackup(envelope, passphrase) {
+  const kdfError = backupKdfError(envelope.kdf);
+  if (kdfError) return { error: kdfError };
+  try {
+    const kdf = { ...BACKUP_KDF, iterations: envelope.kdf.iterations };
+    const key = await deriveBackupKey(passphrase, base64ToBytes(envelope.kdf.salt), kdf);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) }, key, base64ToBytes(envelope.data));
+    const payload = upgradeBackupPayload(JSON.parse(new TextDecoder().decode(plaintext)));
+    const error = validateBackupPayload(payload);
+    return error ? { error } : { payload };
+  } catch (e) {
+    return { error: 'Wrong passphrase, or the backup file is damaged.' };
+  }
+}
+
+// Format 1 is the only one so far; older payloads will be brought up to
+// the current shape here. Sections added within a format default to empty.
+function upgradeBackupPayload(payload) {
+  return { payroll: [], ...payload };
+}
+
+// ============================================
+// Validation
+// ============================================
+// Returns an error message, or null when the payload can be restored
+function validateBackupPayload(payload) {
+  if (!payload || typeof payload !== 'object') return 'The backup is empty.';
+  if (payload.version !== BACKUP_VERSION) return `Backup format ${payload.version} is not supported.`;
+  const lists = ['transactions', 'receipts', 'exchangeRates', 'filings', 'payroll'];
+  const badList = lists.find(key => !Array.isArray(payload[key]));
+  if (badList) return `The backup's ${badList} are missing or unreadable.`;
+  if (!payload.profile || typeof payload.profile !== 'object') return 'The backup has no profile.';
+  if (!payload.settings || typeof payload.settings !== 'object') return 'The backup has no settings.';
+  if (!payload.csvPresets || typeof payload.csvPresets !== 'object' || Array.isArray(payload.csvPresets)) return 'The backup\'s CSV presets are unreadable.';
+  if (payload.transactions.some(tx => !tx || !tx.type || isNaN(new Date(tx.date)))) return 'Some transactions in the backup have no type or date.';
+  if (payload.receipts.some(r => !r || typeof r.id !== 'string' || !BACKUP_RECEIPT_ID.test(r.id) || !r.fileName || (r.file && typeof r.file.data !== 'string'))) return 'Some receipts in the backup are unreadable.';
+  if (payload.exchangeRates.some(r => validateRate(r))) return 'Some exchange rates in the backup are invalid.';
+  if (payload.payroll.some(r => !r || !r.id || !/^\d{4}-\d{2}$/.test(r.month))) return 'Some payslips in the backup have no month.';
+  return null;
+}
+
+// ============================================
+// Restore Preview
+// ============================================
+// Records already here are matched by id: transactions by local or server
+// id, receipts and payslips by id, rates by currency and day, filings by
+// deadline id.
+function backupMatchers() {
+  return {
+    transactions: (current) => {
+      const ids = new Set(current.flatMap(tx => [tx.localId, tx.id].filter(Boolean)));
+      return (tx) => ids.has(tx.localId) || (tx.id && ids.has(tx.id));
+    },
+    receipts: (current) => {
+      const ids = new Set(current.map(r => r.id));
+      return (r) => ids.has(r.id);
+    },
+    payroll: (current) => {
+      const ids = new Set(current.map(r => r.id));
+      return (r) => ids.has(r.id);
+    },
+    exchangeRates: (current) => {
+      const keys = new Set(current.map(r => `${r.currency}|${r.date}`));
+      return (r) => keys.has(`${r.currency}|${r.date}`);
+    },
+    filings: (current) => {
+      const ids = new Set(current);
+      return (id) => ids.has(id);
+    },
+    csvPresets: (current) => (name) => Object.prototype.hasOwnProperty.call(current, name)
+  };
+}
+
+// Items in `incoming` not already in `current`
+function newBackupItems(key, current, incoming) {
+  const known = backupMatchers()[key](current);
+  return key === 'csvPresets'
+    ? Object.keys(incoming).filter(name => !known(name))
+    : incoming.filter(item => !known(item));
+}
+
+function changedFields(current, incoming, fields = Object.keys(incoming)) {
+  return fields.filter(f => incoming[f] !== undefined && String(current[f] ?? '') !== String(incoming[f] ?? ''));
+}
+
+// One row per section: how many records are here now and in the backup,
+// what a merge adds and what a replace leaves. Profile and settings are
+// only touched by a replace.
+function previewRestore(current, payload) {
+  return BACKUP_SECTIONS.map(({ key, label, shared = false }) => {
+    if (key === 'profile' || key === 'settings') {
+      const fields = key === 'profile' ? BACKUP_PROFILE_FIELDS : Object.keys(payload.settings);
+      const changed = changedFields(current[key], payload[key], fields);
+      return { key, label, shared, current: null, incoming: null, added: 0, changed };
+    }
+    const size = (value) => (Array.isArray(value) ? value.length : Object.keys(value || {}).length);
+    return {
+      key,
+      label,
+      shared,
+      current: size(current[key]),
+      incoming: size(payload[key]),
+      added: newBackupItems(key, current[key], payload[key]).length,
+      changed: []
+    };
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BACKUP_FORMAT, BACKUP_VERSION, BACKUP_MIN_PASSPHRASE, BACKUP_SECTIONS, BACKUP_PROFILE_FIELDS,
+    bytesToBase64, base64ToBytes, encryptBackup, parseBackupFile, decryptBackup, validateBackupPayload,
+    newBackupItems, previewRestore
+  };
+}
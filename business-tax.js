@@ -0,0 +1,181 @@
+/**
+ * TaxTrack NG - Business Tax
+ * Income/expense ledger totals, monthly VAT returns and income tax estimates for freelancers and small companies
+ */
+
+// ============================================
+// Constants
+// ============================================
+// The VAT rate itself is dated; see getVATRate() in tax-rules.js
+const INCOME_CATEGORIES = ['Sales', 'Services', 'Other Income'];
+
+// Whether an expense can be deducted from taxable profit
+const EXPENSE_CATEGORIES = [
+  { name: 'Cost of Sales', deductible: true },
+  { name: 'Rent & Utilities', deductible: true },
+  { name: 'Staff & Contractors', deductible: true },
+  { name: 'Transport & Travel', deductible: true },
+  { name: 'Professional Fees', deductible: true },
+  { name: 'Office & Software', deductible: true },
+  { name: 'Marketing', deductible: true },
+  { name: 'Bank Charges & Interest', deductible: true },
+  { name: 'Repairs & Maintenance', deductible: true },
+  // Assets are relieved through capital allowances, not as an expense
+  { name: 'Equipment & Assets', deductible: false },
+  { name: 'Fines & Penalties', deductible: false },
+  { name: 'Personal / Drawings', deductible: false }
+];
+
+// ============================================
+// CIT Rules (versioned by tax year)
+// ============================================
+// Small companies pay no CIT or levy. `fixedAssets` is only part of the
+// test where the rule set defines a cap.
+const CIT_RULES = [
+  {
+    id: 'CITA-FA2019',
+    label: 'CITA (Finance Act 2019)',
+    effectiveFrom: 2020,
+    smallCompany: { maxTurnover: 25000000, maxFixedAssets: null },
+    tiers: [
+      { maxTurnover: 100000000, rate: 0.2, name: 'Medium company' },
+      { maxTurnover: Infinity, rate: 0.3, name: 'Large company' }
+    ],
+    levy: null
+  },
+  {
+    id: 'NTA-2025',
+    label: 'Nigeria Tax Act 2025',
+    effectiveFrom: 2026,
+    smallCompany: { maxTurnover: 100000000, maxFixedAssets: 250000000 },
+    tiers: [
+      { maxTurnover: Infinity, rate: 0.3, name: 'Company' }
+    ],
+    levy: { name: 'Development levy', rate: 0.04 }
+  }
+];
+
+function getCITRules(taxYear = new Date().getFullYear()) {
+  const applicable = CIT_RULES.filter(r => r.effectiveFrom <= taxYear);
+  return applicable.length ? applicable[applicable.length - 1] : CIT_RULES[0];
+}
+
+// ============================================
+// Ledger Totals
+// ============================================
+function isDeductible(category) {
+  const match = EXPENSE_CATEGORIES.find(c => c.name === category);
+  return match ? match.deductible : true;
+}
+
+// Purchases captured as VAT receipts count as input VAT once the user marks
+// them as business purchases
+function isInputVatEntry(tx) {
+  return tx.type === 'Expense' || (tx.type === 'VAT' && tx.businessUse === true);
+}
+
+function summarizeLedger(transactions) {
+  const totals = { income: 0, outputVat: 0, expenses: 0, deductibleExpenses: 0, inputVat: 0 };
+  let count = 0;
+  transactions.forEach(tx => {
+    const base = Number(tx.baseAmount) || 0;
+    if (tx.type === 'Income') {
+      totals.income += base;
+      totals.outputVat += taxAmountOf(tx);
+      count++;
+    } else if (isInputVatEntry(tx)) {
+      totals.expenses += base;
+      if (isDeductible(tx.category)) totals.deductibleExpenses += base;
+      totals.inputVat += taxAmountOf(tx);
+      count++;
+    }
+  });
+  const income = roundMoney(totals.income);
+  const deductibleExpenses = roundMoney(totals.deductibleExpenses);
+  return {
+    income,
+    outputVat: roundMoney(totals.outputVat),
+    expenses: roundMoney(totals.expenses),
+    deductibleExpenses,
+    nonDeductibleExpenses: roundMoney(totals.expenses - totals.deductibleExpenses),
+    inputVat: roundMoney(totals.inputVat),
+    profit: roundMoney(income - deductibleExpenses),
+    count
+  };
+}
+
+// ============================================
+// VAT Returns
+// ============================================
+// One return per month: output VAT on sales less input VAT on purchases.
+// A month with more input than output VAT carries the credit forward.
+function monthlyVatReturns(transactions, start, months = 12) {
+  let credit = 0;
+  return aggregateByMonth([], start, months).map(({ start: s, end: e, label }) => {
+    const ledger = summarizeLedger(filterTransactions(transactions, { start: s, end: e }));
+    const net = roundMoney(ledger.outputVat - ledger.inputVat - credit);
+    const row = {
+      start: s,
+      end: e,
+      label,
+      outputVat: ledger.outputVat,
+      inputVat: ledger.inputVat,
+      creditBroughtForward: roundMoney(credit),
+      payable: Math.max(net, 0),
+      creditCarriedForward: Math.max(-net, 0)
+    };
+    credit = row.creditCarriedForward;
+    return row;
+  });
+}
+
+// ============================================
+// Income Tax Estimates
+// ============================================
+// Company income tax on `profit`, with the small-company exemption
+// decided on turnover (and fixed assets where the rules cap them).
+function estimateCIT({ turnover, profit, fixedAssets = 0, taxYear = new Date().getFullYear() }) {
+  const rules = getCITRules(taxYear);
+  const small = rules.smallCompany;
+  const taxableProfit = Math.max(Number(profit) || 0, 0);
+  const isSmall = turnover <= small.maxTurnover && (small.maxFixedAssets === null || fixedAssets <= small.maxFixedAssets);
+
+  if (isSmall) {
+    return {
+      taxYear: Number(taxYear),
+      rules: rules.label,
+      category: 'Small company',
+      exempt: true,
+      threshold: small.maxTurnover,
+      taxableProfit: roundMoney(taxableProfit),
+      rate: 0,
+      cit: 0,
+      levy: 0,
+      total: 0
+    };
+  }
+
+  const tier = rules.tiers.find(t => turnover <= t.maxTurnover);
+  const cit = roundMoney(taxableProfit * tier.rate);
+  const levy = rules.levy ? roundMoney(taxableProfit * rules.levy.rate) : 0;
+  return {
+    taxYear: Number(taxYear),
+    rules: rules.label,
+    category: tier.name,
+    exempt: false,
+    threshold: small.maxTurnover,
+    taxableProfit: roundMoney(taxableProfit),
+    rate: tier.rate,
+    cit,
+    levy,
+    levyName: rules.levy ? rules.levy.name : null,
+    total: roundMoney(cit + levy)
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    INCOME_CATEGORIES, EXPENSE_CATEGORIES, CIT_RULES, getCITRules, isDeductible,
+    isInputVatEntry, summarizeLedger, monthlyVatReturns, estimateCIT
+  };
+}
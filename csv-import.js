@@ -0,0 +1,259 @@
+/**
+ * TaxTrack NG - CSV Statement Import
+ * RFC-4180 parsing, column mapping presets and duplicate detection for bank statement exports
+ */
+
+// ============================================
+// Built-in Bank Presets
+// ============================================
+// Column names are matched case-insensitively against the statement header.
+// Each field lists the header spellings seen in that bank's exports.
+const BANK_PRESETS = {
+  GTBank: {
+    date: ['Trans. Date', 'Trans Date', 'Transaction Date'],
+    description: ['Remarks', 'Narration', 'Description'],
+    debit: ['Debits', 'Debit'],
+    credit: ['Credits', 'Credit'],
+    reference: ['Reference']
+  },
+  Access: {
+    date: ['Posted Date', 'Transaction Date', 'Date'],
+    description: ['Description', 'Narration'],
+    debit: ['Debit', 'Withdrawals'],
+    credit: ['Credit', 'Lodgements'],
+    reference: ['Reference', 'Ref']
+  },
+  Zenith: {
+    date: ['Date Posted', 'Trans Date', 'Date'],
+    description: ['Description', 'Narration'],
+    debit: ['Debit', 'Dr'],
+    credit: ['Credit', 'Cr'],
+    reference: ['Reference']
+  },
+  Opay: {
+    date: ['Trans. Time', 'Transaction Time', 'Date'],
+    description: ['Description', 'Narration'],
+    debit: ['Debit(₦)', 'Debit'],
+    credit: ['Credit(₦)', 'Credit'],
+    reference: ['Transaction Reference', 'Reference']
+  }
+};
+
+const CSV_FIELDS = ['date', 'description', 'debit', 'credit', 'amount', 'reference'];
+
+// ============================================
+// RFC-4180 Parser
+// ============================================
+// Handles quoted fields containing commas, escaped quotes ("") and line
+// breaks, plus CRLF/LF endings and a leading byte-order mark.
+function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Statements often open with account details; the header is the first row
+// with several filled cells, one of which names a date column.
+function detectHeaderRow(rows) {
+  const index = rows.findIndex(r => r.filter(c => c.trim()).length >= 3 && r.some(c => /date|time/i.test(c)));
+  return index === -1 ? 0 : index;
+}
+
+// ============================================
+// Value Parsing
+// ============================================
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+// Returns YYYY-MM-DD or null. Numeric dates are read day-first, as Nigerian
+// banks export them.
+function parseStatementDate(value) {
+  const str = String(value || '').trim();
+  if (!str) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  const build = (y, m, d) => {
+    const year = y < 100 ? 2000 + y : y;
+    const date = new Date(Date.UTC(year, m - 1, d));
+    if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+    return `${year}-${pad(m)}-${pad(d)}`;
+  };
+
+  let m = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (m) return build(+m[1], +m[2], +m[3]);
+
+  m = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (m) return build(+m[3], +m[2], +m[1]);
+
+  m = str.match(/^(\d{1,2})[-/\s]([A-Za-z]{3})[A-Za-z]*[-/\s,]+(\d{2,4})/);
+  if (m && MONTHS[m[2].toLowerCase()]) return build(+m[3], MONTHS[m[2].toLowerCase()], +m[1]);
+
+  m = str.match(/^([A-Za-z]{3})[A-Za-z]*\s+(\d{1,2}),?\s+(\d{4})/);
+  if (m && MONTHS[m[1].toLowerCase()]) return build(+m[3], MONTHS[m[1].toLowerCase()], +m[2]);
+
+  return null;
+}
+
+// Accepts "₦1,234.50", "NGN 1,234.50", "(1,234.50)", "1,234.50 DR" and
+// "-1234.5". Returns null for blank or non-numeric cells.
+function parseStatementAmount(value) {
+  let str = String(value || '').trim();
+  if (!str || str === '-') return null;
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) { negative = true; str = str.slice(1, -1); }
+  if (/\bDR\b/i.test(str)) negative = true;
+  str = str.replace(/NGN|₦|\bDR\b|\bCR\b|[,\s]/gi, '');
+  if (str.startsWith('-')) { negative = !negative; str = str.slice(1); }
+  if (!/^\d+(\.\d+)?$/.test(str)) return null;
+  const num = parseFloat(str);
+  return negative ? -num : num;
+}
+
+// ============================================
+// Column Mapping
+// ============================================
+// A mapping stores header *names*, not positions, so a saved preset keeps
+// working when a bank reorders its columns.
+function matchPreset(headers, preset) {
+  const normalized = headers.map(h => h.trim().toLowerCase());
+  const mapping = {};
+  CSV_FIELDS.forEach(field => {
+    const candidates = [].concat(preset[field] || []);
+    const found = candidates.find(name => normalized.includes(String(name).trim().toLowerCase()));
+    if (found) mapping[field] = headers[normalized.indexOf(found.trim().toLowerCase())];
+  });
+  return mapping;
+}
+
+function guessMapping(headers) {
+  const find = (pattern) => headers.find(h => pattern.test(h));
+  const debit = find(/debit|withdraw|money out|\bdr\b/i);
+  const credit = find(/credit|lodg|deposit|money in|\bcr\b/i);
+  return {
+    date: find(/trans.*(date|time)|posted|^date/i) || find(/date/i),
+    description: find(/desc|narrat|remark|detail|particular/i),
+    debit,
+    credit,
+    amount: debit || credit ? undefined : find(/amount|value/i),
+    reference: find(/ref/i)
+  };
+}
+
+function detectBank(headers, presets = BANK_PRESETS) {
+  let best = null;
+  let bestScore = 0;
+  Object.entries(presets).forEach(([bank, preset]) => {
+    const score = Object.keys(matchPreset(headers, preset)).length;
+    if (score > bestScore) { best = bank; bestScore = score; }
+  });
+  return bestScore >= 3 ? best : null;
+}
+
+// ============================================
+// Row Extraction
+// ============================================
+// Produces one entry per data row. Debits (money out) are the purchases
+// that carry VAT; credits are flagged so the preview can leave them out.
+function extractStatementRows(rows, headerIndex, mapping) {
+  const headers = rows[headerIndex] || [];
+  const col = (field) => mapping[field] ? headers.indexOf(mapping[field]) : -1;
+  const cols = {};
+  CSV_FIELDS.forEach(field => { cols[field] = col(field); });
+  const cell = (row, field) => cols[field] >= 0 ? (row[cols[field]] || '').trim() : '';
+
+  return rows.slice(headerIndex + 1).map((row, i) => {
+    const date = parseStatementDate(cell(row, 'date'));
+    const description = cell(row, 'description').replace(/\s+/g, ' ');
+    let amount = null;
+    let direction = 'debit';
+
+    if (cols.debit >= 0 || cols.credit >= 0) {
+      const debit = parseStatementAmount(cell(row, 'debit'));
+      const credit = parseStatementAmount(cell(row, 'credit'));
+      if (debit) { amount = Math.abs(debit); }
+      else if (credit) { amount = Math.abs(credit); direction = 'credit'; }
+    } else {
+      const value = parseStatementAmount(cell(row, 'amount'));
+      if (value !== null) {
+        amount = Math.abs(value);
+        direction = value < 0 ? 'debit' : 'credit';
+      }
+    }
+
+    const valid = Boolean(date && amount);
+    return {
+      line: headerIndex + i + 2,
+      date,
+      description,
+      reference: cell(row, 'reference'),
+      amount,
+      direction,
+      valid,
+      importRef: valid ? buildImportRef(date, amount, description) : null
+    };
+  });
+}
+
+// ============================================
+// Duplicate Detection
+// ============================================
+function buildImportRef(date, amount, description) {
+  const desc = String(description || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return `${date}|${Number(amount).toFixed(2)}|${desc}`;
+}
+
+// Marks rows already imported, by importRef on existing transactions. Two
+// identical charges on one statement are both real, so a repeat within the
+// file gets its own ref ("...#2"); importing the same file again then flags
+// each of them.
+function markDuplicates(rows, existingTransactions) {
+  const imported = new Set(existingTransactions.map(tx => tx.importRef).filter(Boolean));
+  const counts = new Map();
+  return rows.map(row => {
+    if (!row.importRef) return { ...row, duplicate: false };
+    const count = (counts.get(row.importRef) || 0) + 1;
+    counts.set(row.importRef, count);
+    const importRef = count === 1 ? row.importRef : `${row.importRef}#${count}`;
+    return { ...row, importRef, duplicate: imported.has(importRef) };
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BANK_PRESETS, parseCSV, detectHeaderRow, parseStatementDate, parseStatementAmount,
+    matchPreset, guessMapping, detectBank, extractStatementRows, buildImportRef, markDuplicates
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * TaxTrack NG - Currency
+ * Supported currencies, the exchange-rate table, conversion to and from Naira, and money formatting
+ */
+
+// ============================================
+// Currencies
+// ============================================
+// Tax is assessed and paid in Naira, so ledger amounts are stored in NGN.
+// Other currencies are what the income or purchase was originally in.
+const BASE_CURRENCY = 'NGN';
+
+const CURRENCIES = {
+  NGN: { symbol: '₦', name: 'Nigerian Naira' },
+  USD: { symbol: '$', name: 'US Dollar' },
+  GBP: { symbol: '£', name: 'British Pound' },
+  EUR: { symbol: '€', name: 'Euro' },
+  CNY: { symbol: 'CN¥', name: 'Chinese Yuan' }
+};
+
+// How the CBN rate download names each currency
+const CBN_CURRENCY_NAMES = {
+  'US DOLLAR': 'USD',
+  'POUNDS STERLING': 'GBP',
+  'EURO': 'EUR',
+  'YUAN/RENMINBI': 'CNY'
+};
+
+function isSupportedCurrency(code) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+}
+
+// "US DOLLAR", "usd" or "USD" -> "USD"; null if not supported
+function currencyCode(value) {
+  const str = String(value || '').trim().toUpperCase();
+  if (isSupportedCurrency(str)) return str;
+  return CBN_CURRENCY_NAMES[str] || null;
+}
+
+// ============================================
+// Formatting
+// ============================================
+function formatMoney(amount, currency = BASE_CURRENCY, { decimals = null } = {}) {
+  const info = CURRENCIES[currency] || CURRENCIES[BASE_CURRENCY];
+  const value = Number(amount) || 0;
+  const digits = decimals === null
+    ? { maximumFractionDigits: 2 }
+    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  const text = Math.abs(value).toLocaleString('en-NG', digits);
+  return `${value < 0 ? '-' : ''}${info.symbol}${text}`;
+}
+
+// ============================================
+// Rate Table
+// ============================================
+// Rates are Naira per one unit of `currency`: { currency, date: 'YYYY-MM-DD', rate }.
+// A date without its own rate (weekends, holidays) uses the last one before it.
+function isoDate(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function findRate(rates, currency, date = new Date()) {
+  if (currency === BASE_CURRENCY) return { currency, date: null, rate: 1 };
+  const day = isoDate(date);
+  let best = null;
+  rates.forEach(r => {
+    if (r.currency === currency && r.date <= day && (!best || r.date > best.date)) best = r;
+  });
+  return best;
+}
+
+// Adds or replaces rates (one per currency and day); newest first
+function mergeRates(existing, incoming) {
+  const byKey = new Map(existing.map(r => [`${r.currency}|${r.date}`, r]));
+  incoming.forEach(r => byKey.set(`${r.currency}|${r.date}`, r));
+  return [...byKey.values()].sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency));
+}
+
+// Returns an error message, or null when the rate is usable
+function validateRate({ currency, date, rate }) {
+  if (!isSupportedCurrency(currency) || currency === BASE_CURRENCY) return 'Pick a foreign currency';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) || isNaN(new Date(date))) return 'Enter the date the rate applies from';
+  if (!(Number(rate) > 0)) return 'Enter a rate greater than zero';
+  return null;
+}
+
+// ============================================
+// CBN Rate Import
+// ============================================
+// Reads the CBN exchange-rate download (Rate Date, Currency, Rate Year,
+// Rate Month, Buying/Central/Selling Rate) or a plain Date, Currency, Rate
+// file. The central rate is used when there is one. Needs csv-import.js.
+const RATE_COLUMNS = ['central rate', 'rate', 'selling rate', 'buying rate'];
+
+function parseRatesCSV(text) {
+  const rows = parseCSV(text).filter(r => r.some(c => c.trim()));
+  const headerIndex = rows.findIndex(r => r.some(c => /currency/i.test(c)) && r.some(c => /rate/i.test(c)));
+  if (headerIndex === -1) return { rates: [], skipped: rows.length, error: 'No Currency and Rate columns found' };
+
+  const headers = rows[headerIndex].map(h => h.trim().toLowerCase());
+  const col = (name) => headers.indexOf(name);
+  const dateCol = headers.findIndex(h => h === 'rate date' || h === 'date');
+  const currencyCol = col('currency');
+  const rateCol = RATE_COLUMNS.map(col).find(i => i !== -1);
+  const monthCol = col('rate month');
+  if (dateCol === -1 || rateCol === undefined) return { rates: [], skipped: rows.length, error: 'No Date and Rate columns found' };
+
+  const rates = [];
+  let skipped = 0;
+  rows.slice(headerIndex + 1).forEach(row => {
+    const currency = currencyCode(row[currencyCol]);
+    const date = parseRateDate(row[dateCol], monthCol === -1 ? null : monthNumber(row[monthCol]));
+    const rate = parseStatementAmount(row[rateCol]);
+    const entry = { currency, date, rate };
+    if (!currency || currency === BASE_CURRENCY || validateRate(entry)) {
+      skipped++;
+      return;
+    }
+    rates.push(entry);
+  });
+  return { rates: mergeRates([], rates), skipped, error: null };
+}
+
+// Numeric dates are read day-first, as elsewhere in the app. When the file
+// has a month column and it disagrees, the date is month-first (US style).
+function parseRateDate(value, month) {
+  const dayFirst = parseStatementDate(value);
+  if (!month || (dayFirst && Number(dayFirst.slice(5, 7)) === month)) return dayFirst;
+  const m = String(value || '').trim().match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  return m ? parseStatementDate(`${m[2]}/${m[1]}/${m[3]}`) : dayFirst;
+}
+
+// "10", "October" or "Oct" -> 10
+function monthNumber(value) {
+  const str = String(value || '').trim();
+  if (/^\d+$/.test(str)) return Number(str);
+  const names = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  return names.indexOf(str.slice(0, 3).toLowerCase()) + 1;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BASE_CURRENCY, CURRENCIES, isSupportedCurrency, currencyCode, formatMoney, isoDate, findRate, mergeRates,
+    validateRate, parseRatesCSV
+  };
+}
@@ -1,6 +1,6 @@
 /**
  * TaxTrack NG - Dashboard OCR & File Processing
- * Handles receipt scanning and CSV imports
+ * Handles receipt scanning and the CSV statement import wizard
  */
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -16,11 +16,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     return;
   }
 
-  // Ensure calculateVAT exists
-  if (!app.calculateVAT) {
-    app.calculateVAT = (amount) => Number((amount * 0.075).toFixed(2)); // 7.5% VAT
-  }
-
   // Fetch existing transactions
   try {
     await app.fetchTransactions();
@@ -37,7 +32,17 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   if (!vatFileInput || !ocrPreview || !confirmBtn) return;
 
-  let ocrLines = [];
+  // One entry per scanned image: { id, fileName, rows }
+  let ocrReceipts = [];
+
+  // Tesseract and its English data ship in vendor/ so scanning works offline
+  // (tesseract.js 4.0.2, tesseract.js-core 4.0.2, eng best_int data).
+  const TESSERACT_PATHS = {
+    script: 'vendor/tesseract/tesseract.min.js',
+    workerPath: 'vendor/tesseract/worker.min.js',
+    corePath: 'vendor/tesseract/tesseract-core.wasm.js',
+    langPath: 'vendor/tesseract/lang'
+  };
 
   // ===============================
   // File input handler
@@ -45,7 +50,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   vatFileInput.addEventListener('change', async (e) => {
     const files = Array.from(e.target.files);
     ocrPreview.innerHTML = '';
-    ocrLines = [];
+    ocrReceipts = [];
 
     const vatResult = document.getElementById('vatResult');
     if (vatResult) {
@@ -55,10 +60,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     let hasImages = false;
     let csvProcessed = 0;
+    let csvImported = 0;
 
     for (const file of files) {
       if (file.name.toLowerCase().endsWith('.csv')) {
-        await processCSV(file);
+        if (vatResult) vatResult.innerHTML = `<i class="fas fa-info-circle"></i> Map the columns for ${file.name} below`;
+        csvImported += await processCSV(file);
         csvProcessed++;
       } else if (file.type.startsWith('image/')) {
         hasImages = true;
@@ -66,11 +73,11 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     }
 
-    if (hasImages && ocrLines.length > 0) {
+    if (hasImages && ocrReceipts.length > 0) {
       confirmBtn.style.display = 'flex';
       if (vatResult) vatResult.innerHTML = '<i class="fas fa-info-circle"></i> Review OCR results below, then click "Confirm Selected Transactions"';
     } else if (csvProcessed > 0) {
-      if (vatResult) vatResult.innerHTML = `<i class="fas fa-check-circle"></i> ${csvProcessed} CSV file(s) processed successfully!`;
+      if (vatResult) vatResult.innerHTML = `<i class="fas fa-check-circle"></i> ${csvImported} transaction(s) imported from ${csvProcessed} CSV file(s)`;
       if (typeof renderTransactions === 'function') renderTransactions();
       if (typeof updateSummary === 'function') updateSummary();
     } else if (!hasImages && csvProcessed === 0) {
@@ -79,38 +86,227 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   // ===============================
-  // Process CSV
+  // CSV import wizard
   // ===============================
+  const csvWizard = document.getElementById('csvWizard');
+  const MAPPING_FIELDS = [
+    { key: 'date', label: 'Date' },
+    { key: 'description', label: 'Description' },
+    { key: 'debit', label: 'Debit (money out)' },
+    { key: 'credit', label: 'Credit (money in)' },
+    { key: 'amount', label: 'Amount (if no debit/credit)' },
+    { key: 'reference', label: 'Reference' }
+  ];
+
+  // Resolves with the number of rows imported once the user finishes or
+  // cancels the wizard for this file.
   async function processCSV(file) {
     try {
       const text = await file.text();
-      const lines = text.split('\n').filter(line => line.trim());
-      let addedCount = 0;
-
-      const startIndex = lines[0].toLowerCase().includes('date') || lines[0].toLowerCase().includes('amount') ? 1 : 0;
-
-      for (let i = startIndex; i < lines.length; i++) {
-        const cols = lines[i].split(',').map(c => c.trim().replace(/"/g, ''));
-        if (cols.length >= 2) {
-          let amount = 0, details = '';
-          for (const col of cols) {
-            const numVal = parseFloat(col.replace(/[₦,]/g, ''));
-            if (!isNaN(numVal) && numVal > 0 && amount === 0) amount = numVal;
-            else if (col && !numVal && col.length > 2) details = col;
-          }
-          if (amount > 0) {
-            const vatAmount = app.calculateVAT(amount);
-            await app.addTransaction({ type: 'VAT', amount: vatAmount, details: details || `CSV Import: ${file.name}` });
-            addedCount++;
-          }
-        }
+      const rows = parseCSV(text);
+      if (rows.length < 2) {
+        app.showToast(`${file.name} has no data rows`, 'error');
+        return 0;
       }
-
-      if (addedCount > 0) app.showToast(`Added ${addedCount} transactions from ${file.name}`, 'success');
+      return await new Promise(resolve => openCSVWizard(file, rows, resolve));
     } catch (error) {
       console.error('CSV Error:', error);
       app.showToast(`Error processing ${file.name}`, 'error');
+      return 0;
+    }
+  }
+
+  function openCSVWizard(file, rows, done) {
+    // Saved presets override built-in ones of the same name
+    const presets = { ...BANK_PRESETS, ...app.getCSVPresets() };
+    const state = { headerIndex: detectHeaderRow(rows), bank: '', mapping: {}, preview: [], inclusive: Boolean(app.getSettings().vatInclusive) };
+
+    const headers = () => rows[state.headerIndex] || [];
+    const applyBank = () => {
+      state.mapping = state.bank && presets[state.bank] ? matchPreset(headers(), presets[state.bank]) : guessMapping(headers());
+    };
+    state.bank = detectBank(headers(), presets) || '';
+    applyBank();
+
+    const finish = (count) => {
+      csvWizard.style.display = 'none';
+      csvWizard.innerHTML = '';
+      done(count);
+    };
+
+    function renderMapping() {
+      const columnOptions = (selected) => ['<option value="">— None —</option>']
+        .concat(headers().map(h => `<option value="${escapeHTML(h)}" ${h === selected ? 'selected' : ''}>${escapeHTML(h)}</option>`))
+        .join('');
+
+      csvWizard.style.display = 'block';
+      csvWizard.innerHTML = `
+        <h4><i class="fas fa-file-csv"></i> Import ${escapeHTML(file.name)} — map columns</h4>
+        <div class="wizard-grid">
+          <label>
+            Bank preset
+            <select id="csvBank">
+              <option value="">Auto / custom</option>
+              ${Object.keys(presets).map(b => `<option value="${escapeHTML(b)}" ${b === state.bank ? 'selected' : ''}>${escapeHTML(b)}</option>`).join('')}
+            </select>
+          </label>
+          <label>
+            Header row
+            <input type="number" id="csvHeaderRow" min="1" max="${rows.length}" value="${state.headerIndex + 1}">
+          </label>
+          ${MAPPING_FIELDS.map(f => `
+            <label>
+              ${f.label}
+              <select data-field="${f.key}">${columnOptions(state.mapping[f.key])}</select>
+            </label>
+          `).join('')}
+        </div>
+        <div class="wizard-grid">
+          <label>
+            Save this mapping as preset
+            <input type="text" id="csvPresetName" placeholder="e.g. GTBank" value="${escapeHTML(state.bank)}">
+          </label>
+        </div>
+        <div class="wizard-actions">
+          <button type="button" class="primary-btn" id="csvPreviewBtn"><i class="fas fa-eye"></i> Preview</button>
+          <button type="button" class="secondary-btn" id="csvSavePresetBtn"><i class="fas fa-save"></i> Save Preset</button>
+          <button type="button" class="secondary-btn" id="csvCancelBtn"><i class="fas fa-times"></i> Cancel</button>
+        </div>
+      `;
+
+      csvWizard.querySelector('#csvBank').addEventListener('change', (e) => {
+        state.bank = e.target.value;
+        applyBank();
+        renderMapping();
+      });
+      csvWizard.querySelector('#csvHeaderRow').addEventListener('change', (e) => {
+        const index = Math.min(Math.max(Number(e.target.value) - 1, 0), rows.length - 2);
+        state.headerIndex = index;
+        applyBank();
+        renderMapping();
+      });
+      csvWizard.querySelectorAll('select[data-field]').forEach(select => {
+        select.addEventListener('change', () => { state.mapping[select.dataset.field] = select.value || undefined; });
+      });
+      csvWizard.querySelector('#csvSavePresetBtn').addEventListener('click', () => {
+        const name = csvWizard.querySelector('#csvPresetName').value.trim();
+        if (!name) {
+          app.showToast('Enter a name for the preset', 'error');
+          return;
+        }
+        const preset = {};
+        Object.entries(state.mapping).forEach(([field, header]) => { if (header) preset[field] = [header]; });
+        app.saveCSVPreset(name, preset);
+        presets[name] = preset;
+        state.bank = name;
+        app.showToast(`Preset "${name}" saved`, 'success');
+        renderMapping();
+      });
+      csvWizard.querySelector('#csvCancelBtn').addEventListener('click', () => finish(0));
+      csvWizard.querySelector('#csvPreviewBtn').addEventListener('click', () => {
+        const m = state.mapping;
+        if (!m.date || !(m.debit || m.credit || m.amount)) {
+          app.showToast('Map at least a date column and an amount, debit or credit column', 'error');
+          return;
+        }
+        state.preview = markDuplicates(extractStatementRows(rows, state.headerIndex, m), app.getTransactions());
+        renderPreview();
+      });
+    }
+
+    function renderPreview() {
+      const importable = (row) => row.valid && row.direction === 'debit' && !row.duplicate;
+      // Statement lines are standard-rated purchases, taxed at the rate for their date
+      const rowTax = (row) => app.calculateTax({ amount: row.amount, date: new Date(`${row.date}T12:00:00`), inclusive: state.inclusive });
+      const flag = (row) => {
+        if (!row.valid) return '<span class="row-flag skipped">Unreadable</span>';
+        if (row.direction === 'credit') return '<span class="row-flag skipped">Credit</span>';
+        if (row.duplicate) return '<span class="row-flag duplicate">Duplicate</span>';
+        return '<span class="row-flag new">New</span>';
+      };
+
+      csvWizard.innerHTML = `
+        <h4><i class="fas fa-table"></i> Preview ${escapeHTML(file.name)}</h4>
+        <p class="text-muted mb-2">
+          ${state.preview.filter(importable).length} of ${state.preview.length} rows selected.
+          Credits, duplicates and unreadable rows are left out unless you tick them.
+        </p>
+        <div class="wizard-grid">
+          <label>
+            Statement amounts
+            <select id="csvVatInclusive">
+              <option value="true" ${state.inclusive ? 'selected' : ''}>Include VAT</option>
+              <option value="false" ${state.inclusive ? '' : 'selected'}>Are before VAT</option>
+            </select>
+          </label>
+        </div>
+        <div class="table-wrapper wizard-preview">
+          <table>
+            <thead>
+              <tr><th></th><th>Line</th><th>Date</th><th>Description</th><th>Amount (₦)</th><th>VAT (₦)</th><th>Status</th></tr>
+            </thead>
+            <tbody>
+              ${state.preview.map((row, i) => `
+                <tr class="${importable(row) ? '' : 'is-skipped'}">
+                  <td><input type="checkbox" data-row="${i}" ${importable(row) ? 'checked' : ''} ${row.valid ? '' : 'disabled'}></td>
+                  <td>${row.line}</td>
+                  <td>${row.date || '-'}</td>
+                  <td>${escapeHTML(row.description) || '-'}</td>
+                  <td style="font-family: var(--font-mono);">${row.amount ? row.amount.toLocaleString() : '-'}</td>
+                  <td style="font-family: var(--font-mono);">${row.amount && row.date ? rowTax(row).taxAmount.toLocaleString() : '-'}</td>
+                  <td>${flag(row)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <div class="wizard-actions">
+          <button type="button" class="primary-btn" id="csvImportBtn"><i class="fas fa-file-import"></i> Import Selected</button>
+          <button type="button" class="secondary-btn" id="csvBackBtn"><i class="fas fa-arrow-left"></i> Back to Mapping</button>
+          <button type="button" class="secondary-btn" id="csvCancelBtn"><i class="fas fa-times"></i> Cancel</button>
+        </div>
+      `;
+
+      csvWizard.querySelector('#csvVatInclusive').addEventListener('change', (e) => {
+        state.inclusive = e.target.value === 'true';
+        renderPreview();
+      });
+      csvWizard.querySelector('#csvBackBtn').addEventListener('click', renderMapping);
+      csvWizard.querySelector('#csvCancelBtn').addEventListener('click', () => finish(0));
+      csvWizard.querySelector('#csvImportBtn').addEventListener('click', async () => {
+        const selected = Array.from(csvWizard.querySelectorAll('input[data-row]:checked'))
+          .map(cb => state.preview[Number(cb.dataset.row)]);
+        if (!selected.length) {
+          app.showToast('No rows selected', 'error');
+          return;
+        }
+
+        const result = await app.addTransactions(selected.map(row => {
+          const tax = rowTax(row);
+          return {
+            type: 'VAT',
+            baseAmount: tax.baseAmount,
+            taxAmount: tax.taxAmount,
+            rate: tax.rate,
+            vatClass: tax.vatClass,
+            details: row.description || `CSV Import: ${file.name}`,
+            date: new Date(`${row.date}T12:00:00`).toISOString(),
+            source: 'CSV',
+            reference: row.reference,
+            importRef: row.importRef
+          };
+        }));
+
+        if (!result.success) {
+          app.showToast(result.message, 'error');
+          return;
+        }
+        app.showToast(`Added ${result.transactions.length} transactions from ${file.name}`, 'success');
+        finish(result.transactions.length);
+      });
     }
+
+    renderMapping();
   }
 
   // ===============================
@@ -120,7 +316,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (!window.Tesseract) {
       try {
         const script = document.createElement('script');
-        script.src = 'https://cdn.jsdelivr.net/npm/tesseract.js@4.0.2/dist/tesseract.min.js';
+        script.src = TESSERACT_PATHS.script;
         document.head.appendChild(script);
         await new Promise((resolve, reject) => { script.onload = resolve; script.onerror = reject; });
       } catch (error) {
@@ -134,47 +330,27 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (vatResult) vatResult.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Analyzing ${file.name}...`;
 
     try {
+      // The worker resolves paths against its own URL, so pass absolute ones
+      const absolute = (path) => new URL(path, document.baseURI).href;
       const { data: { text } } = await Tesseract.recognize(file, 'eng', {
+        workerPath: absolute(TESSERACT_PATHS.workerPath),
+        corePath: absolute(TESSERACT_PATHS.corePath),
+        langPath: absolute(TESSERACT_PATHS.langPath),
         logger: m => { if (m.status === 'recognizing text' && vatResult) vatResult.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Scanning: ${Math.round(m.progress*100)}%`; }
       });
 
-      // --- parse OCR lines and render editable rows ---
-      const lines = text.split('\n');
-      ocrLines = [];
-
-      lines.forEach((line, lineIndex) => {
-        const matches = line.match(/[\d,]+\.?\d{0,2}/g) || [];
-        matches.forEach(numStr => {
-          const rawAmount = parseFloat(numStr.replace(/,/g, ''));
-          if (rawAmount >= 100 && rawAmount <= 10000000) {
-            let type = /vat|tax|excise|levy/i.test(line) ? 'VAT' : 'Consumption';
-            let details = line.replace(numStr, '').replace(/[^\w\s]/g, ' ').replace(/\s+/g,' ').trim().substring(0,50) || 'Receipt Item';
-            const lineId = `ocr-${lineIndex}-${rawAmount}-${Math.random().toString(36).substr(2,4)}`;
-            ocrLines.push({ id: lineId, type, amount: rawAmount, details });
-
-            const lineDiv = document.createElement('div');
-            lineDiv.className = 'ocr-line';
-            lineDiv.style.cssText = 'display:flex;align-items:center;gap:12px;margin-bottom:12px;padding:14px 16px;background:var(--glass-bg);border:1px solid var(--border);border-radius:12px;flex-wrap:wrap;';
-            lineDiv.innerHTML = `
-              <input type="checkbox" id="check-${lineId}" checked style="width:20px;height:20px;accent-color:var(--accent);cursor:pointer;">
-              <input type="number" id="amount-${lineId}" value="${rawAmount}" style="width:120px;padding:10px 12px;background:var(--input-bg);border:1px solid var(--border);border-radius:8px;color:var(--text-primary);font-family:var(--font-mono);">
-              <select id="type-${lineId}" style="padding:10px 12px;background:var(--input-bg);border:1px solid var(--border);border-radius:8px;color:var(--text-primary);min-width:130px;">
-                <option value="VAT" ${type==='VAT'?'selected':''}>VAT (7.5%)</option>
-                <option value="Consumption" ${type==='Consumption'?'selected':''}>Consumption</option>
-              </select>
-              <input type="text" id="details-${lineId}" value="${details}" style="flex:1;min-width:180px;padding:10px 12px;background:var(--input-bg);border:1px solid var(--border);border-radius:8px;color:var(--text-primary);">
-            `;
-            ocrPreview.appendChild(lineDiv);
-          }
-        });
-      });
-
-      if (ocrLines.length === 0 && vatResult) {
-        vatResult.innerHTML = '<i class="fas fa-info-circle"></i> No amounts detected. Try a clearer image or manual entry.';
-        confirmBtn.style.display = 'none';
-      } else {
-        confirmBtn.style.display = 'flex';
+      const parsed = parseReceiptText(text);
+      const receipt = buildReceiptRows(file, parsed);
+      if (!receipt.rows.length) {
+        // Still proof of the purchase, so it goes in the vault
+        const saved = await app.saveReceipt(file, { vendor: receipt.merchant, date: parsed.date ? parsed.date.value : null, source: 'OCR' });
+        const kept = saved.success ? ' The image was kept in Receipts.' : '';
+        if (vatResult) vatResult.innerHTML = `<i class="fas fa-info-circle"></i> No amounts detected. Try a clearer image or manual entry.${kept}`;
+        return;
       }
+      ocrReceipts.push(receipt);
+      renderReceipt(receipt);
+      confirmBtn.style.display = 'flex';
 
     } catch (error) {
       console.error('OCR Error:', error);
@@ -183,41 +359,177 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Only the grand total and the stated VAT start ticked; subtotal and line
+  // items are offered for the rare case where the user wants them instead.
+  // A grand total includes the tax and a subtotal doesn't; line items follow
+  // the default in Settings.
+  function buildReceiptRows(file, parsed) {
+    const id = `ocr-${Math.random().toString(36).substr(2, 6)}`;
+    const merchant = parsed.merchant ? parsed.merchant.value : '';
+    const rows = [];
+    const inclusiveByRole = { total: true, subtotal: false, item: Boolean(app.getSettings().vatInclusive) };
+    const addRow = (role, label, field, checked, details) => rows.push({
+      id: `${id}-${rows.length}`,
+      role,
+      label,
+      amount: field.amount,
+      confidence: field.confidence,
+      checked,
+      inclusive: Boolean(inclusiveByRole[role]),
+      details
+    });
+
+    if (parsed.total) addRow('total', 'Grand total', parsed.total, true, merchant || 'Receipt total');
+    if (parsed.vat) addRow('vat', `Stated VAT${parsed.vat.rate ? ` (${+(parsed.vat.rate * 100).toFixed(2)}%)` : ''}`, parsed.vat, true, merchant || 'Receipt VAT');
+    if (parsed.subtotal) addRow('subtotal', 'Subtotal', parsed.subtotal, false, merchant || 'Receipt subtotal');
+    parsed.items.forEach(item => addRow('item', 'Item', item, false, item.description || 'Receipt Item'));
+
+    return { id, file, fileName: file.name, parsed, merchant, rows };
+  }
+
+  function confidenceBadge(confidence) {
+    const pct = Math.round(confidence * 100);
+    const color = pct >= 85 ? 'var(--success)' : pct >= 60 ? 'var(--warning)' : 'var(--danger)';
+    return `<span title="Detection confidence" style="font-size:0.75rem;padding:2px 8px;border-radius:999px;border:1px solid ${color};color:${color};">${pct}%</span>`;
+  }
+
+  function renderReceipt(receipt) {
+    const inputStyle = 'padding:10px 12px;background:var(--input-bg);border:1px solid var(--border);border-radius:8px;color:var(--text-primary);';
+    const { parsed } = receipt;
+    const block = document.createElement('div');
+    block.className = 'ocr-receipt';
+    block.style.cssText = 'margin-bottom:20px;';
+    block.innerHTML = `
+      <h4><i class="fas fa-receipt"></i> ${escapeHTML(receipt.fileName)}</h4>
+      <div style="display:flex;gap:12px;flex-wrap:wrap;align-items:center;margin-bottom:12px;">
+        <input type="text" id="merchant-${receipt.id}" value="${escapeHTML(receipt.merchant)}" placeholder="Merchant" style="${inputStyle}flex:1;min-width:180px;">
+        ${parsed.merchant ? confidenceBadge(parsed.merchant.confidence) : ''}
+        <input type="date" id="date-${receipt.id}" value="${parsed.date ? parsed.date.value : ''}" style="${inputStyle}">
+        ${parsed.date ? confidenceBadge(parsed.date.confidence) : ''}
+      </div>
+      ${receipt.rows.map(row => `
+        <div class="ocr-line" style="display:flex;align-items:center;gap:12px;margin-bottom:12px;padding:14px 16px;background:var(--glass-bg);border:1px solid var(--border);border-radius:12px;flex-wrap:wrap;">
+          <input type="checkbox" id="check-${row.id}" ${row.checked ? 'checked' : ''} style="width:20px;height:20px;accent-color:var(--accent);cursor:pointer;">
+          <span style="min-width:110px;color:var(--text-secondary);">${row.label}</span>
+          <input type="number" id="amount-${row.id}" value="${row.amount}" style="width:120px;${inputStyle}font-family:var(--font-mono);">
+          ${row.role === 'vat' ? '' : `
+          <select id="type-${row.id}" style="${inputStyle}min-width:130px;">
+            <option value="VAT" selected>VAT</option>
+            <option value="Consumption">Consumption</option>
+          </select>
+          <select id="inclusive-${row.id}" style="${inputStyle}min-width:130px;" title="Whether this amount already includes the tax">
+            <option value="true" ${row.inclusive ? 'selected' : ''}>Incl. tax</option>
+            <option value="false" ${row.inclusive ? '' : 'selected'}>Before tax</option>
+          </select>`}
+          <input type="text" id="details-${row.id}" value="${escapeHTML(row.details)}" style="flex:1;min-width:180px;${inputStyle}">
+          ${confidenceBadge(row.confidence)}
+        </div>
+      `).join('')}
+    `;
+    ocrPreview.appendChild(block);
+  }
+
   // ===============================
   // Confirm OCR transactions
   // ===============================
-  confirmBtn.addEventListener('click', () => {
-    let addedCount = 0;
+  function readRow(row) {
+    const checkbox = document.getElementById(`check-${row.id}`);
+    const typeSelect = document.getElementById(`type-${row.id}`);
+    const inclusiveSelect = document.getElementById(`inclusive-${row.id}`);
+    return {
+      ...row,
+      checked: Boolean(checkbox && checkbox.checked),
+      amount: parseFloat(document.getElementById(`amount-${row.id}`).value) || 0,
+      type: typeSelect ? typeSelect.value : 'VAT',
+      inclusive: inclusiveSelect ? inclusiveSelect.value === 'true' : row.inclusive,
+      details: document.getElementById(`details-${row.id}`).value
+    };
+  }
+
+  // A ticked stated-VAT line becomes one VAT transaction whose base is the
+  // ticked total less that VAT. Any other ticked line is a purchase whose
+  // tax is worked out as for manual entry. Returns { transactions, errors }.
+  function receiptTransactions(receipt) {
+    const vendor = document.getElementById(`merchant-${receipt.id}`).value.trim();
+    const dateValue = document.getElementById(`date-${receipt.id}`).value;
+    const date = dateValue ? new Date(`${dateValue}T12:00:00`).toISOString() : undefined;
+    const rows = receipt.rows.map(readRow).filter(r => r.checked && r.amount > 0);
+    const vatRow = rows.find(r => r.role === 'vat');
+    const totalRow = rows.find(r => r.role === 'total');
+    const subtotalRow = rows.find(r => r.role === 'subtotal');
+    const transactions = [];
+    const errors = [];
+    const base = { vendor, date, source: 'OCR', receiptName: receipt.fileName };
+
+    if (vatRow) {
+      const baseAmount = totalRow ? totalRow.amount - vatRow.amount : (subtotalRow ? subtotalRow.amount : null);
+      transactions.push({ ...base, type: 'VAT', baseAmount, taxAmount: vatRow.amount, details: (totalRow || vatRow).details });
+    }
 
-    ocrLines.forEach(line => {
-      const checkbox = document.getElementById(`check-${line.id}`);
-      const amountInput = document.getElementById(`amount-${line.id}`);
-      const typeSelect = document.getElementById(`type-${line.id}`);
-      const detailsInput = document.getElementById(`details-${line.id}`);
-
-      if (checkbox?.checked && amountInput && typeSelect && detailsInput) {
-        const amount = parseFloat(amountInput.value);
-        const type = typeSelect.value;
-        const details = detailsInput.value;
-        if (amount > 0) {
-          const finalAmount = type==='VAT'? app.calculateVAT(amount) : amount;
-          app.addTransaction({ type, amount: finalAmount, details: type==='VAT'? `${details} (Base: ₦${amount.toLocaleString()})` : details });
-          addedCount++;
+    rows
+      .filter(r => r.role !== 'vat' && !(vatRow && (r === totalRow || (!totalRow && r === subtotalRow))))
+      .forEach(r => {
+        const tax = app.calculateTax({ type: r.type, amount: r.amount, date: date || new Date(), inclusive: r.inclusive });
+        if (tax.error) {
+          errors.push(tax.error);
+          return;
         }
+        transactions.push({
+          ...base,
+          type: r.type,
+          baseAmount: tax.baseAmount,
+          taxAmount: tax.taxAmount,
+          rate: tax.rate,
+          ...(r.type === 'VAT' ? { vatClass: tax.vatClass } : {}),
+          details: r.details
+        });
+      });
+
+    return { transactions, errors };
+  }
+
+  // What the receipt says it came to, for searching the vault
+  function receiptTotal(receipt) {
+    const rows = receipt.rows.map(readRow);
+    const pick = (role) => rows.find(r => r.role === role && r.amount > 0);
+    const row = pick('total') || pick('subtotal');
+    return row ? row.amount : null;
+  }
+
+  // Each image is saved to the receipt vault first so its transactions can
+  // point at it
+  confirmBtn.addEventListener('click', async () => {
+    let addedCount = 0;
+    let failed = null;
+    for (const receipt of ocrReceipts) {
+      const { transactions, errors } = receiptTransactions(receipt);
+      if (errors.length) failed = errors[0];
+      const saved = await app.saveReceipt(receipt.file, {
+        vendor: document.getElementById(`merchant-${receipt.id}`).value.trim(),
+        date: document.getElementById(`date-${receipt.id}`).value || null,
+        total: receiptTotal(receipt),
+        source: 'OCR'
+      });
+      if (!saved.success) failed = saved.message;
+      for (const tx of transactions) {
+        const result = await app.addTransaction(saved.success ? { ...tx, receiptId: saved.receipt.id } : tx);
+        if (result.success) addedCount++;
+        else failed = result.message;
       }
-    });
+    }
 
     ocrPreview.innerHTML = '';
     confirmBtn.style.display = 'none';
-    ocrLines = [];
+    ocrReceipts = [];
     vatFileInput.value = '';
 
     const vatResult = document.getElementById('vatResult');
-    if (vatResult) vatResult.innerHTML = `<i class="fas fa-check-circle"></i> ${addedCount} transaction(s) added successfully!`;
+    if (vatResult) vatResult.innerHTML = `<i class="fas fa-check-circle"></i> ${addedCount} transaction(s) added successfully! The receipt images are in Receipts.`;
 
     if (typeof renderTransactions === 'function') renderTransactions();
     if (typeof updateSummary === 'function') updateSummary();
-    app.showToast(`Added ${addedCount} transactions from receipt`, 'success');
+    if (failed) app.showToast(failed, 'error');
+    else app.showToast(`Added ${addedCount} transactions from receipt`, 'success');
   });
 
 });
@@ -0,0 +1,184 @@
+/**
+ * TaxTrack NG - Filing Calendar
+ * Filing and remittance deadlines for each employment type, their status, and the weekly digest text
+ */
+
+// ============================================
+// Obligations
+// ============================================
+// Monthly obligations fall due on `dueDay` of the month after the period.
+// Annual ones follow the calendar year (`due` is the month and day in the
+// next year) or the financial year (`monthsAfterYearEnd`).
+const FILING_OBLIGATIONS = [
+  {
+    id: 'vat-return',
+    title: 'VAT return',
+    frequency: 'monthly',
+    dueDay: 21,
+    authority: 'federal',
+    appliesTo: ['Self-Employed', 'Business Owner']
+  },
+  {
+    id: 'paye-remittance',
+    title: 'PAYE remittance',
+    frequency: 'monthly',
+    dueDay: 10,
+    authority: 'state',
+    appliesTo: ['Business Owner']
+  },
+  {
+    id: 'employer-annual',
+    title: 'Employer\'s annual PAYE return',
+    frequency: 'annual',
+    due: { month: 0, day: 31 },
+    authority: 'state',
+    appliesTo: ['Business Owner']
+  },
+  {
+    id: 'pit-annual',
+    title: 'Personal income tax return',
+    frequency: 'annual',
+    due: { month: 2, day: 31 },
+    authority: 'state',
+    appliesTo: ['Salary Earner', 'Self-Employed']
+  },
+  {
+    id: 'cit-annual',
+    title: 'Company income tax return',
+    frequency: 'financial',
+    monthsAfterYearEnd: 6,
+    authority: 'federal',
+    appliesTo: ['Business Owner']
+  }
+];
+
+const FEDERAL_AUTHORITY = 'Federal Inland Revenue Service';
+
+// Deadlines this close count as "due soon" and raise a reminder
+const FILING_REMINDER_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+function daysUntil(date, now = new Date()) {
+  return Math.round((startOfDay(date) - startOfDay(now)) / DAY_MS);
+}
+
+function monthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// ============================================
+// Calendar
+// ============================================
+// Every deadline between `from` and `to` (inclusive) for the employment
+// type, oldest first. Ids are stable ("vat-return:2026-03") so filed
+// items can be remembered.
+function buildFilingCalendar({ employment, state = '', fyStartMonth = 0, from, to, formatFinancialYear }) {
+  const first = startOfDay(from);
+  const last = startOfDay(to);
+  const stateAuthority = state ? stateTaxOffice(state) : 'State Internal Revenue Service';
+  const fyLabel = formatFinancialYear || (year => `FY ${year}`);
+  const items = [];
+
+  const add = (obligation, periodKey, period, dueDate) => {
+    if (dueDate < first || dueDate > last) return;
+    items.push({
+      id: `${obligation.id}:${periodKey}`,
+      obligation: obligation.id,
+      title: obligation.title,
+      period,
+      dueDate,
+      authority: obligation.authority === 'state' ? stateAuthority : FEDERAL_AUTHORITY
+    });
+  };
+
+  FILING_OBLIGATIONS.filter(o => o.appliesTo.includes(employment)).forEach(obligation => {
+    if (obligation.frequency === 'monthly') {
+      // The period before `from` can still fall due inside the window
+      for (let m = new Date(first.getFullYear(), first.getMonth() - 1, 1); m <= last; m = new Date(m.getFullYear(), m.getMonth() + 1, 1)) {
+        const label = m.toLocaleDateString('en-NG', { month: 'long', year: 'numeric' });
+        add(obligation, monthKey(m), label, new Date(m.getFullYear(), m.getMonth() + 1, obligation.dueDay));
+      }
+    } else if (obligation.frequency === 'annual') {
+      for (let year = first.getFullYear() - 1; year <= last.getFullYear(); year++) {
+        add(obligation, String(year), `Tax year ${year}`, new Date(year + 1, obligation.due.month, obligation.due.day));
+      }
+    } else {
+      // Day 0 of the following month is the last day of the due month
+      for (let year = first.getFullYear() - 2; year <= last.getFullYear(); year++) {
+        add(obligation, `FY${year}`, fyLabel(year), new Date(year + 1, fyStartMonth + obligation.monthsAfterYearEnd, 0));
+      }
+    }
+  });
+
+  return items.sort((a, b) => a.dueDate - b.dueDate || a.title.localeCompare(b.title));
+}
+
+// Adds `status` ('filed' | 'overdue' | 'due-soon' | 'upcoming') and
+// `daysLeft` (negative once overdue). `filed` is a list of item ids.
+function annotateFilings(items, { filed = [], now = new Date(), reminderDays = FILING_REMINDER_DAYS } = {}) {
+  const filedIds = new Set(filed);
+  return items.map(item => {
+    const daysLeft = daysUntil(item.dueDate, now);
+    let status = 'upcoming';
+    if (filedIds.has(item.id)) status = 'filed';
+    else if (daysLeft < 0) status = 'overdue';
+    else if (daysLeft <= reminderDays) status = 'due-soon';
+    return { ...item, status, daysLeft };
+  });
+}
+
+function describeDeadline(item) {
+  if (item.status === 'filed') return 'Filed';
+  if (item.daysLeft < 0) return `Overdue by ${-item.daysLeft} day${item.daysLeft === -1 ? '' : 's'}`;
+  if (item.daysLeft === 0) return 'Due today';
+  return `Due in ${item.daysLeft} day${item.daysLeft === 1 ? '' : 's'}`;
+}
+
+// "week", "2 weeks", "10 days"
+function describeSpan(days) {
+  const [count, unit] = days % 7 === 0 ? [days / 7, 'week'] : [days, 'day'];
+  return count === 1 ? unit : `${count} ${unit}s`;
+}
+
+// ============================================
+// Weekly Digest
+// ============================================
+// Plain text so the same digest works in the notification centre and
+// in an email. `week` and `yearToDate` are summarizeByType() results;
+// `deadlines` are those within the next `lookaheadDays`.
+function buildWeeklyDigest({ now = new Date(), week, yearToDate, yearLabel, deadlines = [], lookaheadDays, formatMoney }) {
+  const money = formatMoney || (n => `₦${Number(n).toLocaleString()}`);
+  const overdue = deadlines.filter(d => d.status === 'overdue');
+  const upcoming = deadlines.filter(d => d.status === 'due-soon' || d.status === 'upcoming');
+  const weekStart = new Date(startOfDay(now) - 7 * DAY_MS);
+  const format = (d) => d.toLocaleDateString('en-NG', { month: 'short', day: 'numeric' });
+
+  const lines = [
+    `Tax recorded ${format(weekStart)} – ${format(now)}: ${money(week.total)} across ${week.count} transaction${week.count === 1 ? '' : 's'}.`,
+    `${yearLabel} to date: ${money(yearToDate.total)}.`
+  ];
+  if (overdue.length) {
+    lines.push('', 'Overdue:', ...overdue.map(d => `- ${d.title} (${d.period}), due ${format(d.dueDate)}`));
+  }
+  lines.push('', upcoming.length ? 'Coming up:' : `No filing deadlines in the next ${describeSpan(lookaheadDays)}.`);
+  lines.push(...upcoming.map(d => `- ${d.title} (${d.period}), due ${format(d.dueDate)}`));
+
+  return {
+    title: overdue.length ? `Weekly tax digest: ${overdue.length} overdue` : 'Weekly tax digest',
+    body: lines.join('\n'),
+    createdAt: now.toISOString()
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FILING_OBLIGATIONS, FILING_REMINDER_DAYS, startOfDay, daysUntil, buildFilingCalendar, annotateFilings,
+    describeDeadline, buildWeeklyDigest
+  };
+}
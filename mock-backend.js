@@ -0,0 +1,613 @@
+/**
+ * TaxTrack NG - Mock Backend
+ * An in-browser stand-in for the API so auth, password reset, 2FA and transactions can be tested offline
+ *
+ * Turn it on by opening any page with ?mockBackend=on (it stays on for this
+ * browser) and off again with ?mockBackend=off. It only runs on a local dev
+ * server (localhost or a file:// page) and shows a banner while it is on. Data lives in localStorage
+ * under taxtrack_mockDb. "Emails" are written to the console and kept in
+ * the outbox: window.TaxTrackMock.outbox(). Google/Microsoft sign-in asks for
+ * the account's email in a prompt instead of showing the provider's screen.
+ * Make someone an admin with window.TaxTrackMock.setRole(email, 'admin').
+ */
+
+(function () {
+  // ============================================
+  // Config
+  // ============================================
+  const MOCK_KEYS = {
+    ENABLED: 'taxtrack_mockBackend',
+    DB: 'taxtrack_mockDb'
+  };
+  const MOCK_API = 'https://taxtrack-backend.onrender.com';
+  const MOCK_LATENCY_MS = 150;
+  const TOKEN_TTL_MS = 60 * 60 * 1000;
+  const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+  const RESET_TTL_MS = 30 * 60 * 1000;
+  const OAUTH_TTL_MS = 10 * 60 * 1000;
+  const OAUTH_PROVIDER_NAMES = { google: 'Google', microsoft: 'Microsoft' };
+  const BACKUP_CODE_COUNT = 10;
+  // Fields a user may set on their own record; email and role are not among them
+  const PROFILE_FIELDS = ['firstName', 'lastName', 'phone', 'dob', 'employment', 'company', 'taxId', 'taxOffice', 'state'];
+
+  // A link can't switch a real user onto the fake API: anywhere but a
+  // local dev server the flag is ignored, and any stored one cleared
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+  const { hostname, protocol } = window.location;
+  const isLocal = protocol === 'file:' || LOCAL_HOSTS.includes(hostname) || hostname.endsWith('.localhost');
+  if (!isLocal) {
+    localStorage.removeItem(MOCK_KEYS.ENABLED);
+    return;
+  }
+
+  const flag = new URLSearchParams(window.location.search).get('mockBackend');
+  if (flag === 'on') localStorage.setItem(MOCK_KEYS.ENABLED, 'on');
+  if (flag === 'off') localStorage.removeItem(MOCK_KEYS.ENABLED);
+  if (localStorage.getItem(MOCK_KEYS.ENABLED) !== 'on') return;
+
+  // ============================================
+  // Storage
+  // ============================================
+  function loadDb() {
+    try {
+      const db = JSON.parse(localStorage.getItem(MOCK_KEYS.DB) || 'null');
+      if (db) return db;
+    } catch (e) {
+      console.error('Mock backend: resetting unreadable database', e);
+    }
+    return { users: [], transactions: {}, receipts: {}, challenges: [], resetTokens: [], oauthRequests: [], outbox: [] };
+  }
+
+  function saveDb(db) {
+    localStorage.setItem(MOCK_KEYS.DB, JSON.stringify(db));
+  }
+
+  // ============================================
+  // Crypto Helpers
+  // ============================================
+  const encoder = new TextEncoder();
+  const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+  function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+  }
+
+  function toHex(bytes) {
+    return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function randomToken(length = 24) {
+    return toHex(randomBytes(length));
+  }
+
+  async function sha256(text) {
+    return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+  }
+
+  // Salted SHA-256 is enough for a mock; the real backend uses a slow hash
+  async function hashPassword(password, salt = randomToken(16)) {
+    return { salt, hash: await sha256(`${salt}:${password}`) };
+  }
+
+  // Accounts created through Google/Microsoft have no password
+  async function checkPassword(user, password) {
+    if (!user.passwordHash) return false;
+    return (await hashPassword(password, user.salt)).hash === user.passwordHash;
+  }
+
+  // RFC 7636 S256, to check the PKCE verifier against its challenge
+  async function pkceChallenge(verifier) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(verifier));
+    return base64url(String.fromCharCode(...new Uint8Array(digest)));
+  }
+
+  function base32Encode(bytes) {
+    let bits = '';
+    bytes.forEach(b => { bits += b.toString(2).padStart(8, '0'); });
+    let out = '';
+    for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    return out;
+  }
+
+  function base32Decode(text) {
+    const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = '';
+    for (const ch of clean) {
+      const value = BASE32.indexOf(ch);
+      if (value === -1) throw new Error('Invalid base32');
+      bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = new Uint8Array(Math.floor(bits.length / 8));
+    bytes.forEach((_, i) => { bytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2); });
+    return bytes;
+  }
+
+  // RFC 6238: HMAC-SHA1 over the 30-second counter, six digits
+  async function totpCode(secret, counter) {
+    const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const message = new Uint8Array(8);
+    let value = counter;
+    for (let i = 7; i >= 0; i--) {
+      message[i] = value & 0xff;
+      value = Math.floor(value / 256);
+    }
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+    const offset = mac[mac.length - 1] & 0x0f;
+    const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+    return String(binary % 1000000).padStart(6, '0');
+  }
+
+  // Accepts the previous and next step too, for clock drift
+  async function verifyTotp(secret, code) {
+    const counter = Math.floor(Date.now() / 30000);
+    for (const drift of [0, -1, 1]) {
+      if (await totpCode(secret, counter + drift) === String(code).trim()) return true;
+    }
+    return false;
+  }
+
+  function generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = toHex(randomBytes(4));
+      return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+  }
+
+  // A TOTP code, or one unused backup code (which is then spent)
+  async function verifySecondFactor(user, code) {
+    const value = String(code || '').trim().toLowerCase();
+    if (/^\d{6}$/.test(value)) return verifyTotp(user.twoFactor.secret, value);
+    const hash = await sha256(value.replace(/\s/g, ''));
+    const index = user.twoFactor.backupCodes.indexOf(hash);
+    if (index === -1) return false;
+    user.twoFactor.backupCodes.splice(index, 1);
+    return true;
+  }
+
+  // ============================================
+  // Tokens
+  // ============================================
+  // Unsigned JWT-shaped tokens: the client only reads `exp`
+  function base64url(text) {
+    return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function issueToken(user) {
+    const payload = { sub: user.id, email: user.email, ver: user.tokenVersion, exp: Math.floor((Date.now() + TOKEN_TTL_MS) / 1000) };
+    return `${base64url(JSON.stringify({ alg: 'none', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}.mock`;
+  }
+
+  function authenticate(db, headers) {
+    const match = String(headers.Authorization || headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!match) return null;
+    try {
+      const payload = JSON.parse(atob(match[1].split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      const user = db.users.find(u => u.id === payload.sub);
+      // Changing the password bumps tokenVersion, which ends other sessions
+      if (!user || payload.ver !== user.tokenVersion || payload.exp * 1000 <= Date.now()) return null;
+      return user;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function publicUser(user) {
+    const { passwordHash, salt, tokenVersion, twoFactor, identities, ...rest } = user;
+    return {
+      ...rest,
+      role: user.role || 'user',
+      linkedProviders: (identities || []).map(i => i.provider),
+      twoFactorEnabled: Boolean(twoFactor && twoFactor.enabled)
+    };
+  }
+
+  function pickProfile(body) {
+    return Object.fromEntries(PROFILE_FIELDS.filter(f => f in body).map(f => [f, String(body[f] ?? '').trim()]));
+  }
+
+  function createUser(db, fields) {
+    const user = {
+      id: randomToken(12),
+      role: 'user',
+      createdAt: new Date().toISOString(),
+      salt: null,
+      passwordHash: null,
+      tokenVersion: 1,
+      identities: [],
+      twoFactor: { enabled: false, secret: null, pendingSecret: null, backupCodes: [] },
+      ...fields
+    };
+    db.users.push(user);
+    return user;
+  }
+
+  // A session, or a 2FA challenge for accounts that have it turned on
+  function signInResponse(db, user, extra = {}) {
+    if (user.twoFactor.enabled) {
+      const challengeToken = randomToken();
+      db.challenges.push({ token: challengeToken, userId: user.id, expires: Date.now() + CHALLENGE_TTL_MS });
+      return json(200, { twoFactorRequired: true, challengeToken });
+    }
+    return json(200, { ...extra, user: publicUser(user), token: issueToken(user) });
+  }
+
+  function sendEmail(db, to, subject, body) {
+    const message = { to, subject, body, sentAt: new Date().toISOString() };
+    db.outbox.push(message);
+    console.info(`[mock email] To: ${to}\nSubject: ${subject}\n\n${body}`);
+  }
+
+  // ============================================
+  // Routes
+  // ============================================
+  const json = (status, body) => ({ status, body });
+
+  const routes = [
+    ['POST', /^\/api\/auth\/register$/, async (db, req) => {
+      const { email, password } = req.body;
+      if (!email || !password) return json(400, { message: 'Email and password are required' });
+      if (db.users.some(u => u.email.toLowerCase() === String(email).toLowerCase())) {
+        return json(409, { message: 'An account with this email already exists' });
+      }
+      const [firstName = '', ...rest] = String(req.body.fullName || '').trim().split(/\s+/);
+      const { salt, hash } = await hashPassword(password);
+      const user = createUser(db, {
+        ...pickProfile(req.body),
+        email,
+        firstName: req.body.firstName || firstName,
+        lastName: req.body.lastName || rest.join(' '),
+        salt,
+        passwordHash: hash
+      });
+      return json(201, { user: publicUser(user), token: issueToken(user) });
+    }],
+
+    ['POST', /^\/api\/auth\/login$/, async (db, req) => {
+      const user = db.users.find(u => u.email.toLowerCase() === String(req.body.email || '').toLowerCase());
+      if (!user || !(await checkPassword(user, req.body.password || ''))) {
+        return json(401, { message: 'Invalid email or password' });
+      }
+      return signInResponse(db, user);
+    }],
+
+    // The real backend redirects to the provider with its client ID; here the
+    // "provider" is the consent prompt below.
+    ['POST', /^\/api\/auth\/oauth\/(google|microsoft)\/authorize$/, async (db, req, user, provider) => {
+      const { redirectUri, state, nonce, codeChallenge, codeChallengeMethod } = req.body;
+      if (!redirectUri || !state || !nonce || !codeChallenge || codeChallengeMethod !== 'S256') {
+        return json(400, { message: 'PKCE (S256), state and nonce are required' });
+      }
+      if (new URL(redirectUri).origin !== window.location.origin) return json(400, { message: 'Redirect URI is not allowed' });
+      const id = randomToken();
+      db.oauthRequests = (db.oauthRequests || []).filter(r => r.expires > Date.now());
+      db.oauthRequests.push({ id, provider, redirectUri, state, nonce, codeChallenge, code: null, expires: Date.now() + OAUTH_TTL_MS });
+      return json(200, { url: new URL(`login.html?mockOAuth=${id}`, window.location.href).href });
+    }],
+
+    ['POST', /^\/api\/auth\/oauth\/callback$/, async (db, req) => {
+      const { provider, code, codeVerifier, redirectUri, nonce } = req.body;
+      db.oauthRequests = (db.oauthRequests || []).filter(r => r.expires > Date.now());
+      const request = code && db.oauthRequests.find(r => r.code === code);
+      if (!request) return json(400, { message: 'This sign-in attempt has expired. Please try again.' });
+      // Codes are single-use whether or not the exchange succeeds
+      db.oauthRequests = db.oauthRequests.filter(r => r !== request);
+      if (request.provider !== provider || request.redirectUri !== redirectUri || request.nonce !== nonce) {
+        return json(400, { message: 'Sign-in response did not match the request' });
+      }
+      if (await pkceChallenge(String(codeVerifier || '')) !== request.codeChallenge) {
+        return json(400, { message: 'Sign-in verification failed' });
+      }
+
+      // Match the provider identity first, then link by (provider-verified) email
+      const identity = { provider, subject: request.subject };
+      let user = db.users.find(u => (u.identities || []).some(i => i.provider === provider && i.subject === request.subject));
+      let linked = false;
+      if (!user) {
+        user = db.users.find(u => u.email.toLowerCase() === request.email.toLowerCase());
+        if (user) {
+          user.identities = [...(user.identities || []), identity];
+          linked = true;
+        } else {
+          user = createUser(db, { email: request.email, firstName: request.firstName, lastName: request.lastName, identities: [identity] });
+        }
+      }
+      return signInResponse(db, user, { linked });
+    }],
+
+    ['POST', /^\/api\/auth\/2fa\/login$/, async (db, req) => {
+      db.challenges = db.challenges.filter(c => c.expires > Date.now());
+      const challenge = db.challenges.find(c => c.token === req.body.challengeToken);
+      if (!challenge) return json(401, { message: 'Sign-in expired. Please enter your password again.' });
+      const user = db.users.find(u => u.id === challenge.userId);
+      if (!user || !(await verifySecondFactor(user, req.body.code))) {
+        return json(400, { message: 'Invalid authentication code' });
+      }
+      db.challenges = db.challenges.filter(c => c !== challenge);
+      return json(200, { user: publicUser(user), token: issueToken(user) });
+    }],
+
+    ['POST', /^\/api\/auth\/refresh$/, async (db, req, user) => {
+      if (!user) return json(401, { message: 'Session expired' });
+      return json(200, { user: publicUser(user), token: issueToken(user) });
+    }, { auth: true }],
+
+    ['POST', /^\/api\/auth\/change-password$/, async (db, req, user) => {
+      // 400 rather than 401 so a typo doesn't end the session
+      if (!(await checkPassword(user, req.body.currentPassword || ''))) {
+        return json(400, { message: 'Current password is incorrect' });
+      }
+      const { salt, hash } = await hashPassword(req.body.newPassword);
+      Object.assign(user, { salt, passwordHash: hash, tokenVersion: user.tokenVersion + 1 });
+      sendEmail(db, user.email, 'Your TaxTrack NG password was changed', 'If this wasn\'t you, reset your password straight away.');
+      return json(200, { message: 'Password changed', token: issueToken(user) });
+    }, { auth: true }],
+
+    ['POST', /^\/api\/auth\/forgot-password$/, async (db, req) => {
+      const user = db.users.find(u => u.email.toLowerCase() === String(req.body.email || '').toLowerCase());
+      if (user) {
+        const token = randomToken();
+        db.resetTokens = db.resetTokens.filter(t => t.userId !== user.id);
+        db.resetTokens.push({ tokenHash: await sha256(token), userId: user.id, expires: Date.now() + RESET_TTL_MS });
+        const link = new URL(`reset-password.html?token=${token}`, window.location.href).href;
+        sendEmail(db, user.email, 'Reset your TaxTrack NG password', `Use this link within 30 minutes to choose a new password:\n${link}`);
+      }
+      // Same answer either way so the form can't be used to probe for accounts
+      return json(200, { message: 'If that email has an account, a reset link is on its way.' });
+    }],
+
+    ['POST', /^\/api\/auth\/reset-password$/, async (db, req) => {
+      const tokenHash = await sha256(String(req.body.token || ''));
+      const entry = db.resetTokens.find(t => t.tokenHash === tokenHash && t.expires > Date.now());
+      const user = entry && db.users.find(u => u.id === entry.userId);
+      if (!user) return json(400, { message: 'This reset link is invalid or has expired' });
+      const { salt, hash } = await hashPassword(req.body.password);
+      Object.assign(user, { salt, passwordHash: hash, tokenVersion: user.tokenVersion + 1 });
+      db.resetTokens = db.resetTokens.filter(t => t !== entry);
+      return json(200, { message: 'Password updated' });
+    }],
+
+    ['POST', /^\/api\/auth\/2fa\/setup$/, async (db, req, user) => {
+      const secret = base32Encode(randomBytes(20));
+      user.twoFactor.pendingSecret = secret;
+      const label = encodeURIComponent(`TaxTrack NG:${user.email}`);
+      return json(200, { secret, otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=TaxTrack%20NG&digits=6&period=30` });
+    }, { auth: true }],
+
+    ['POST', /^\/api\/auth\/2fa\/enable$/, async (db, req, user) => {
+      const secret = user.twoFactor.pendingSecret;
+      if (!secret) return json(400, { message: 'Start two-factor setup first' });
+      if (!(await verifyTotp(secret, req.body.code))) return json(400, { message: 'That code didn\'t match. Check your device clock and try again.' });
+      const backupCodes = generateBackupCodes();
+      user.twoFactor = {
+        enabled: true,
+        secret,
+        pendingSecret: null,
+        backupCodes: await Promise.all(backupCodes.map(code => sha256(code)))
+      };
+      return json(200, { backupCodes, user: publicUser(user) });
+    }, { auth: true }],
+
+    ['POST', /^\/api\/auth\/2fa\/disable$/, async (db, req, user) => {
+      if (!(await checkPassword(user, req.body.password || ''))) return json(400, { message: 'Password is incorrect' });
+      if (!user.twoFactor.enabled || !(await verifySecondFactor(user, req.body.code))) {
+        return json(400, { message: 'Invalid authentication code' });
+      }
+      user.twoFactor = { enabled: false, secret: null, pendingSecret: null, backupCodes: [] };
+      return json(200, { message: 'Two-factor authentication disabled', user: publicUser(user) });
+    }, { auth: true }],
+
+    ['GET', /^\/api\/users\/me$/, async (db, req, user) => json(200, { user: publicUser(user) }), { auth: true }],
+
+    // The real backend re-checks the TIN; the mock only enforces uniqueness
+    ['PATCH', /^\/api\/users\/me$/, async (db, req, user) => {
+      const updates = pickProfile(req.body);
+      if (updates.taxId && db.users.some(u => u !== user && u.taxId === updates.taxId)) {
+        return json(409, { message: 'That TIN is already registered to another account', errors: { taxId: 'Already registered' } });
+      }
+      Object.assign(user, updates);
+      return json(200, { user: publicUser(user) });
+    }, { auth: true }],
+
+    // Password accounts re-enter the password; social-only ones just the
+    // email. 2FA accounts also need a code.
+    ['DELETE', /^\/api\/users\/me$/, async (db, req, user) => {
+      if (String(req.body.confirmEmail || '').trim().toLowerCase() !== user.email.toLowerCase()) {
+        return json(400, { message: 'The email does not match this account' });
+      }
+      if (user.passwordHash && !(await checkPassword(user, req.body.password || ''))) return json(400, { message: 'Password is incorrect' });
+      if (user.twoFactor && user.twoFactor.enabled && !(await verifySecondFactor(user, req.body.code))) {
+        return json(400, { message: 'Invalid authentication code' });
+      }
+      const removed = {
+        transactions: (db.transactions[user.id] || []).length,
+        receipts: (db.receipts[user.id] || []).length,
+        linkedProviders: (user.identities || []).length
+      };
+      delete db.transactions[user.id];
+      delete db.receipts[user.id];
+      db.users = db.users.filter(u => u !== user);
+      db.challenges = db.challenges.filter(c => c.userId !== user.id);
+      db.resetTokens = db.resetTokens.filter(t => t.userId !== user.id);
+      sendEmail(db, user.email, 'TaxTrack NG: your account has been deleted',
+        `Your TaxTrack NG account and its data have been deleted: ${removed.transactions} transaction(s) and ${removed.receipts} receipt(s). This cannot be undone.`);
+      return json(200, { message: 'Account deleted', removed });
+    }, { auth: true }],
+
+    // Deadline reminders and weekly digests, sent to the account's own address
+    ['POST', /^\/api\/notifications\/email$/, async (db, req, user) => {
+      const { subject, body } = req.body;
+      if (!subject || !body) return json(400, { message: 'Subject and body are required' });
+      sendEmail(db, user.email, `TaxTrack NG: ${subject}`, body);
+      return json(202, { message: 'Queued' });
+    }, { auth: true }],
+
+    // Transactions and receipts, enough for the sync queue to replay against
+    ['GET', /^\/api\/tax$/, async (db, req, user) => json(200, db.transactions[user.id] || []), { auth: true }],
+
+    ['POST', /^\/api\/tax$/, async (db, req, user) => {
+      const record = { ...req.body, _id: randomToken(12), createdAt: new Date().toISOString() };
+      (db.transactions[user.id] = db.transactions[user.id] || []).push(record);
+      return json(201, record);
+    }, { auth: true }],
+
+    ['POST', /^\/api\/tax\/batch$/, async (db, req, user) => {
+      const created = (req.body.transactions || []).map(tx => ({ ...tx, _id: randomToken(12), createdAt: new Date().toISOString() }));
+      (db.transactions[user.id] = db.transactions[user.id] || []).push(...created);
+      return json(201, { transactions: created });
+    }, { auth: true }],
+
+    ['PUT', /^\/api\/tax\/([^/]+)$/, async (db, req, user, id) => {
+      const list = db.transactions[user.id] || [];
+      const index = list.findIndex(tx => tx._id === id);
+      if (index === -1) return json(404, { message: 'Transaction not found' });
+      list[index] = { ...list[index], ...req.body, _id: id };
+      return json(200, list[index]);
+    }, { auth: true }],
+
+    ['DELETE', /^\/api\/tax\/([^/]+)$/, async (db, req, user, id) => {
+      const list = db.transactions[user.id] || [];
+      if (!list.some(tx => tx._id === id)) return json(404, { message: 'Transaction not found' });
+      db.transactions[user.id] = list.filter(tx => tx._id !== id);
+      return json(200, { message: 'Deleted' });
+    }, { auth: true }],
+
+    ['GET', /^\/api\/receipts$/, async (db, req, user) => json(200, db.receipts[user.id] || []), { auth: true }],
+
+    // Only the receipt's details are kept; the file itself would soon fill
+    // localStorage, so asking for it again gets a 404
+    ['POST', /^\/api\/receipts$/, async (db, req, user) => {
+      const form = req.body instanceof FormData ? req.body : null;
+      const file = form ? form.get('file') : null;
+      const field = (name) => (form && form.get(name)) || null;
+      const receipt = {
+        _id: randomToken(12),
+        receiptId: field('receiptId'),
+        fileName: file ? file.name : 'upload',
+        mimeType: file ? file.type : '',
+        size: file ? file.size : 0,
+        vendor: field('vendor') || '',
+        date: field('date'),
+        total: field('total') === null ? null : Number(field('total')),
+        source: field('source') || 'upload',
+        createdAt: new Date().toISOString()
+      };
+      (db.receipts[user.id] = db.receipts[user.id] || []).push(receipt);
+      return json(201, { receipt, transactions: [] });
+    }, { auth: true }],
+
+    ['GET', /^\/api\/receipts\/([^/]+)\/file$/, async () => json(404, { message: 'The mock backend does not keep receipt files' }), { auth: true }],
+
+    ['DELETE', /^\/api\/receipts\/([^/]+)$/, async (db, req, user, id) => {
+      const list = db.receipts[user.id] || [];
+      if (!list.some(r => r._id === id)) return json(404, { message: 'Receipt not found' });
+      db.receipts[user.id] = list.filter(r => r._id !== id);
+      return json(200, { message: 'Deleted' });
+    }, { auth: true }]
+  ];
+
+  // ============================================
+  // Mock Identity Provider
+  // ============================================
+  // Plays the provider's consent screen for ?mockOAuth=<id>: asks which
+  // account to use, then redirects back with a code the way Google or
+  // Microsoft would.
+  function runMockConsent(requestId) {
+    const db = loadDb();
+    const request = (db.oauthRequests || []).find(r => r.id === requestId && r.expires > Date.now());
+    if (!request) {
+      console.error('Mock backend: unknown or expired sign-in request');
+      return;
+    }
+    const name = OAUTH_PROVIDER_NAMES[request.provider];
+    const email = (window.prompt(`Mock ${name} sign-in\n\nEmail address of the ${name} account:`, '') || '').trim();
+    const target = new URL(request.redirectUri);
+    target.searchParams.set('state', request.state);
+    if (!email) {
+      target.searchParams.set('error', 'access_denied');
+    } else {
+      const [firstName = ''] = email.split('@')[0].split(/[._-]/);
+      Object.assign(request, {
+        code: randomToken(),
+        email,
+        subject: `${request.provider}-${email.toLowerCase()}`,
+        firstName: firstName.charAt(0).toUpperCase() + firstName.slice(1),
+        lastName: ''
+      });
+      target.searchParams.set('code', request.code);
+    }
+    saveDb(db);
+    window.location.replace(target.href);
+  }
+
+  const consentRequest = new URLSearchParams(window.location.search).get('mockOAuth');
+  if (consentRequest) runMockConsent(consentRequest);
+
+  // ============================================
+  // Fetch Interception
+  // ============================================
+  const realFetch = window.fetch.bind(window);
+
+  async function handle(url, init) {
+    const method = (init.method || 'GET').toUpperCase();
+    const path = url.pathname;
+    const db = loadDb();
+    let body = init.body;
+    if (typeof body === 'string') {
+      try { body = JSON.parse(body); } catch (e) { body = {}; }
+    }
+    const req = { method, path, headers: init.headers || {}, body: body || {} };
+
+    for (const [routeMethod, pattern, handler, options = {}] of routes) {
+      const match = routeMethod === method && path.match(pattern);
+      if (!match) continue;
+      const user = options.auth ? authenticate(db, req.headers) : null;
+      if (options.auth && !user) return json(401, { message: 'Not authenticated' });
+      const result = await handler(db, req, user, ...match.slice(1).map(decodeURIComponent));
+      saveDb(db);
+      return result;
+    }
+    return json(404, { message: `Mock backend has no route for ${method} ${path}` });
+  }
+
+  window.fetch = async function (input, init = {}) {
+    const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+    if (url.origin !== MOCK_API) return realFetch(input, init);
+
+    await new Promise(resolve => setTimeout(resolve, MOCK_LATENCY_MS));
+    const { status, body } = await handle(url, init);
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  };
+
+  window.TaxTrackMock = {
+    outbox: () => loadDb().outbox,
+    reset: () => localStorage.removeItem(MOCK_KEYS.DB),
+    setRole: (email, role) => {
+      const db = loadDb();
+      const user = db.users.find(u => u.email.toLowerCase() === String(email).toLowerCase());
+      if (!user) return false;
+      user.role = role;
+      saveDb(db);
+      return true;
+    },
+    totpCode: (secret) => totpCode(secret, Math.floor(Date.now() / 30000))
+  };
+
+  // ============================================
+  // Banner
+  // ============================================
+  // Always on screen, so nobody mistakes the mock for the real service
+  function showBanner() {
+    const banner = document.createElement('div');
+    banner.id = 'mockBackendBanner';
+    banner.setAttribute('role', 'status');
+    banner.style.cssText = 'position: fixed; left: 12px; bottom: 12px; z-index: 10002; padding: 6px 12px; background: #ff6b6b; border-radius: 8px; color: #0a1628; font: 600 0.8rem sans-serif; box-shadow: 0 4px 16px rgba(0,0,0,0.3);';
+    const off = new URL(window.location.href);
+    off.searchParams.set('mockBackend', 'off');
+    banner.innerHTML = `Mock backend: data stays in this browser. <a href="${off.href}" style="color: inherit;">Turn off</a>`;
+    document.body.appendChild(banner);
+  }
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', showBanner);
+  else showBanner();
+
+  console.info('TaxTrack mock backend is on. Open any page with ?mockBackend=off to use the real API.');
+})();
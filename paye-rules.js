@@ -0,0 +1,130 @@
+/**
+ * TaxTrack NG - PAYE Rules
+ * Personal income tax bands and reliefs by tax year, and the PAYE due on a gross income
+ */
+
+// ============================================
+// PAYE Rules (versioned by tax year)
+// ============================================
+// A rule set applies from its `effectiveFrom` year until a later one
+// supersedes it. Bands are consecutive slices of taxable income.
+const PAYE_RULES = [
+  {
+    id: 'PITA-2011',
+    label: 'PITA (2011 amendment)',
+    effectiveFrom: 2011,
+    cra: { fixed: 200000, percentOfGross: 0.01, additionalPercent: 0.2 },
+    rentRelief: null,
+    minimumTaxRate: 0.01,
+    bands: [
+      { width: 300000, rate: 0.07 },
+      { width: 300000, rate: 0.11 },
+      { width: 500000, rate: 0.15 },
+      { width: 500000, rate: 0.19 },
+      { width: 1600000, rate: 0.21 },
+      { width: Infinity, rate: 0.24 }
+    ]
+  },
+  {
+    id: 'NTA-2025',
+    label: 'Nigeria Tax Act 2025',
+    effectiveFrom: 2026,
+    cra: null,
+    rentRelief: { percent: 0.2, cap: 500000 },
+    minimumTaxRate: 0,
+    bands: [
+      { width: 800000, rate: 0 },
+      { width: 2200000, rate: 0.15 },
+      { width: 9000000, rate: 0.18 },
+      { width: 13000000, rate: 0.21 },
+      { width: 25000000, rate: 0.23 },
+      { width: Infinity, rate: 0.25 }
+    ]
+  }
+];
+
+function getPAYERules(taxYear = new Date().getFullYear()) {
+  const year = Number(taxYear);
+  const applicable = PAYE_RULES.filter(r => r.effectiveFrom <= year);
+  return applicable.length ? applicable[applicable.length - 1] : PAYE_RULES[0];
+}
+
+// The current year and the five before it, newest first
+function getPAYETaxYears(now = new Date()) {
+  const latest = Math.max(now.getFullYear(), PAYE_RULES[PAYE_RULES.length - 1].effectiveFrom);
+  const years = [];
+  for (let year = latest; year >= latest - 5; year--) {
+    years.push({ year, label: getPAYERules(year).label });
+  }
+  return years;
+}
+
+// ============================================
+// PAYE Calculation
+// ============================================
+// reliefs: { pension, nhf, nhis, rent, other }, all annual. `rent` is the
+// rent paid; the relief on it is worked out from the year's rules.
+function computePAYE(gross, reliefs = {}, taxYear = new Date().getFullYear()) {
+  const rules = getPAYERules(taxYear);
+  const round = (n) => Math.round(n * 100) / 100;
+  const grossIncome = Math.max(Number(gross) || 0, 0);
+
+  const pension = Math.max(Number(reliefs.pension) || 0, 0);
+  const nhf = Math.max(Number(reliefs.nhf) || 0, 0);
+  const nhis = Math.max(Number(reliefs.nhis) || 0, 0);
+  const other = Math.max(Number(reliefs.other) || 0, 0);
+  const rentPaid = Math.max(Number(reliefs.rent) || 0, 0);
+
+  const cra = rules.cra
+    ? Math.max(rules.cra.fixed, grossIncome * rules.cra.percentOfGross) + grossIncome * rules.cra.additionalPercent
+    : 0;
+  const rent = rules.rentRelief ? Math.min(rentPaid * rules.rentRelief.percent, rules.rentRelief.cap) : 0;
+  const totalReliefs = cra + pension + nhf + nhis + other + rent;
+  const taxableIncome = Math.max(grossIncome - totalReliefs, 0);
+
+  let remaining = taxableIncome;
+  let floor = 0;
+  const bands = rules.bands.map(band => {
+    const taxable = Math.min(remaining, band.width);
+    remaining -= taxable;
+    const row = {
+      from: floor,
+      to: band.width === Infinity ? null : floor + band.width,
+      rate: band.rate,
+      taxable: round(taxable),
+      tax: round(taxable * band.rate)
+    };
+    floor += band.width;
+    return row;
+  });
+
+  const bandTax = bands.reduce((sum, b) => sum + b.tax, 0);
+  const minimumTax = grossIncome * rules.minimumTaxRate;
+  const minimumTaxApplied = bandTax < minimumTax;
+  const annualTax = round(minimumTaxApplied ? minimumTax : bandTax);
+
+  return {
+    taxYear: Number(taxYear),
+    rules: rules.label,
+    grossIncome: round(grossIncome),
+    reliefs: {
+      cra: round(cra),
+      pension: round(pension),
+      nhf: round(nhf),
+      nhis: round(nhis),
+      rent: round(rent),
+      other: round(other),
+      total: round(totalReliefs)
+    },
+    taxableIncome: round(taxableIncome),
+    bands,
+    minimumTaxApplied,
+    annualTax,
+    monthlyTax: round(annualTax / 12),
+    effectiveRate: grossIncome > 0 ? round((annualTax / grossIncome) * 100) : 0
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PAYE_RULES, getPAYERules, getPAYETaxYears, computePAYE };
+}
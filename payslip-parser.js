@@ -0,0 +1,150 @@
+/**
+ * TaxTrack NG - Payslip Parser
+ * Turns payslip text into employer, pay month, gross pay and the pension, NHF, NHIS and PAYE deductions
+ */
+
+// ============================================
+// Labels
+// ============================================
+// Earnings and deductions are often printed side by side, so a line can
+// hold several labels; each takes the first amount after it. Later columns
+// are usually year-to-date figures.
+const PAYSLIP_FIELDS = [
+  { key: 'gross', pattern: /\b(gross\s*(pay|salary|earnings|income|emoluments)?|total\s*(earnings|emoluments|pay(ments)?|income))\b/gi },
+  { key: 'basic', pattern: /\bbasic(\s*(salary|pay))?\b/gi },
+  // The employer's share isn't deducted from pay; matched so it isn't taken for the employee's
+  { key: 'employerPension', pattern: /\bemployer'?s?\s*(pension|contribution)\b/gi },
+  { key: 'pension', pattern: /\b(employee'?s?\s*)?(contributory\s*)?(pension|rsa\s*contribution)\b/gi },
+  { key: 'nhf', pattern: /\b(nhf|national\s*housing\s*fund)\b/gi },
+  { key: 'nhis', pattern: /\b(nhis|nhia|national\s*health\s*insurance|health\s*insurance)\b/gi },
+  { key: 'paye', pattern: /\b(paye|p\.a\.y\.e\.?|(personal\s*)?income\s*tax|tax\s*deducted|withholding\s*tax)\b/gi },
+  { key: 'totalDeductions', pattern: /\btotal\s*deductions?\b/gi },
+  { key: 'net', pattern: /\bnet\s*(pay|salary|amount|income|earnings)?\b/gi }
+];
+
+// Three-letter month -> number. Own copy, so the parser runs without
+// receipt-parser.js loaded.
+const PAYSLIP_MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+const PAYSLIP_YTD = /\b(ytd|year[\s-]*to[\s-]*date|cumulative|to\s*date)\s*$/i;
+const PAYSLIP_TITLE = /\b(pay\s*slip|payslip|salary\s*slip|pay\s*advice|earnings\s*statement|confidential|private)\b/i;
+
+// "₦1,250,000.00", "N 250000", "1250.5"; a following % makes it a rate
+const PAYSLIP_AMOUNT = /(?:₦|NGN|N)?\s?(\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)(?![\d.,]*\s*%)/g;
+
+function payslipAmounts(text) {
+  return [...text.matchAll(PAYSLIP_AMOUNT)]
+    .filter(m => {
+      const raw = m[1];
+      // Staff numbers and TINs: long digit runs without separators or decimals
+      return !(raw.replace(/\D/g, '').length >= 7 && !/[,.]/.test(raw));
+    })
+    .map(m => Number(m[1].replace(/,/g, '')));
+}
+
+// ============================================
+// Field Extraction
+// ============================================
+// "Pay Period: March 2026", "Month: 03/2026", "for the month of Mar, 2026",
+// or the pay date. Returns { value: 'YYYY-MM', confidence, line }.
+function findPayPeriod(lines) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const patterns = [
+    { re: /\b([A-Za-z]{3})[A-Za-z]*\.?[\s,/-]+(\d{4})\b/, parts: (m) => [+m[2], PAYSLIP_MONTHS[m[1].toLowerCase()]] },
+    { re: /\b(\d{4})[-/](\d{1,2})(?:[-/]\d{1,2})?\b/, parts: (m) => [+m[1], +m[2]] },
+    { re: /\b(?:\d{1,2}[-/.])?(\d{1,2})[-/.](\d{4})\b/, parts: (m) => [+m[2], +m[1]] }
+  ];
+
+  let best = null;
+  lines.forEach((line, index) => {
+    patterns.some(({ re, parts }) => {
+      const match = line.match(re);
+      if (!match) return false;
+      const [year, month] = parts(match);
+      if (!month || month < 1 || month > 12 || year < 2000 || year > 2100) return false;
+      const confidence = /\b(pay\s*period|period|month|for\s*the\s*month|pay\s*date|payslip\s*for)\b/i.test(line) ? 0.95 : 0.6;
+      if (!best || confidence > best.confidence) best = { value: `${year}-${pad(month)}`, confidence, line: index };
+      return true;
+    });
+  });
+  return best;
+}
+
+// A labelled "Employer:"/"Company:" line, else the first line of words
+// that isn't the payslip title or a field
+function findEmployer(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const labelled = lines[i].match(/\b(employer|company|organi[sz]ation)\s*(name)?\s*[:\-]\s*(.+)$/i);
+    if (labelled) return { value: labelled[3].trim(), confidence: 0.95, line: i };
+  }
+  for (let i = 0; i < Math.min(lines.length, 5); i++) {
+    const line = lines[i];
+    if (line.replace(/[^A-Za-z]/g, '').length < 3 || PAYSLIP_TITLE.test(line) || /\d{3}/.test(line)) continue;
+    if (PAYSLIP_FIELDS.some(f => line.match(f.pattern))) continue;
+    return { value: line.replace(/\s+/g, ' ').trim(), confidence: 0.6, line: i };
+  }
+  return null;
+}
+
+// ============================================
+// Payslip Parser
+// ============================================
+// Pure function: takes the payslip's text, returns each field as
+// { amount, confidence, line } (or null), plus `employer` and `period`.
+function parsePayslipText(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(l => l.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const result = { employer: findEmployer(lines), period: findPayPeriod(lines) };
+  PAYSLIP_FIELDS.forEach(f => { result[f.key] = null; });
+
+  lines.forEach((line, index) => {
+    // Every label on the line, left to right; overlapping matches keep the first field listed
+    const hits = [];
+    PAYSLIP_FIELDS.forEach(({ key, pattern }) => {
+      [...line.matchAll(pattern)].forEach(m => {
+        const start = m.index;
+        const end = m.index + m[0].length;
+        if (hits.some(h => start < h.end && end > h.start)) return;
+        hits.push({ key, start, end });
+      });
+    });
+    hits.sort((a, b) => a.start - b.start);
+
+    hits.forEach((hit, i) => {
+      if (result[hit.key] || PAYSLIP_YTD.test(line.slice(0, hit.start))) return;
+      const segment = line.slice(hit.end, i + 1 < hits.length ? hits[i + 1].start : line.length);
+      const amounts = payslipAmounts(segment);
+      if (!amounts.length) return;
+      result[hit.key] = { amount: amounts[0], confidence: 0.8, line: index };
+    });
+  });
+
+  // Cross-checks: net = gross - total deductions, and the statutory
+  // deductions fit inside the total
+  const value = (key) => (result[key] ? result[key].amount : 0);
+  const { gross, net, totalDeductions } = result;
+  if (!gross && net && totalDeductions) {
+    result.gross = { amount: Math.round((net.amount + totalDeductions.amount) * 100) / 100, confidence: 0.6, line: null };
+  } else if (gross && net && totalDeductions && Math.abs(gross.amount - totalDeductions.amount - net.amount) <= 1) {
+    [gross, net, totalDeductions].forEach(f => { f.confidence = 0.99; });
+  }
+  if (totalDeductions) {
+    const statutory = value('pension') + value('nhf') + value('nhis') + value('paye');
+    if (statutory > totalDeductions.amount + 1) {
+      ['pension', 'nhf', 'nhis', 'paye'].forEach(key => { if (result[key]) result[key].confidence = 0.4; });
+    }
+  }
+  // A deduction bigger than the gross pay was misread
+  ['pension', 'nhf', 'nhis', 'paye'].forEach(key => {
+    if (result[key] && result.gross && result[key].amount >= result.gross.amount) result[key].confidence = 0.3;
+  });
+  delete result.employerPension;
+  return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parsePayslipText };
+}
@@ -0,0 +1,402 @@
+/**
+ * TaxTrack NG - PDF Text
+ * Reads the text of text-based PDFs (payslips, statements) in the browser: Flate streams, object streams and ToUnicode maps
+ */
+
+// ============================================
+// Bytes
+// ============================================
+// PDF syntax is ASCII, so the file is read as Latin-1: one char per byte,
+// which keeps stream offsets and binary data intact.
+function latin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+function latin1Bytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+// FlateDecode is zlib, which the browser inflates natively. A truncated
+// stream (common at the end of producer-padded data) yields null.
+async function inflate(bytes) {
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================
+// Objects
+// ============================================
+// Returns Map<number, { dict, data }>: `dict` is the object's text before
+// any stream, `data` its decoded stream bytes (or null). Streams with
+// filters other than Flate (images) are left undecoded.
+async function readPDFObjects(raw) {
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = pattern.exec(raw))) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endobj', start);
+    if (end === -1) break;
+    const body = raw.slice(start, end);
+    const streamAt = body.search(/\bstream\r?\n/);
+    if (streamAt === -1) {
+      objects.set(Number(match[1]), { dict: body, data: null });
+    } else {
+      const dict = body.slice(0, streamAt);
+      const dataStart = body.indexOf('\n', streamAt) + 1;
+      const length = dict.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/);
+      let data = length
+        ? body.substr(dataStart, Number(length[1]))
+        : body.slice(dataStart, body.lastIndexOf('endstream')).replace(/\r?\n$/, '');
+      const filters = (dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [, ''])[1];
+      if (/FlateDecode/.test(filters) && !/DCTDecode|JPXDecode|CCITT|JBIG2/.test(filters)) {
+        const inflated = await inflate(latin1Bytes(data));
+        data = inflated ? latin1(inflated) : null;
+      } else if (filters) {
+        data = null;
+      }
+      objects.set(Number(match[1]), { dict, data });
+    }
+    pattern.lastIndex = end;
+  }
+
+  // Compressed object streams hold further objects (fonts, pages) as
+  // "num offset" pairs followed by the objects themselves
+  [...objects.values()].forEach(({ dict, data }) => {
+    if (!/\/Type\s*\/ObjStm/.test(dict) || data === null) return;
+    const count = Number((dict.match(/\/N\s+(\d+)/) || [])[1]);
+    const first = Number((dict.match(/\/First\s+(\d+)/) || [])[1]);
+    const pairs = data.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < count; i++) {
+      const num = pairs[i * 2];
+      const from = first + pairs[i * 2 + 1];
+      const to = i + 1 < count ? first + pairs[i * 2 + 3] : data.length;
+      if (!objects.has(num)) objects.set(num, { dict: data.slice(from, to), data: null });
+    }
+  });
+  return objects;
+}
+
+function objectRefs(text) {
+  return [...String(text || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(m => Number(m[1]));
+}
+
+// The value of `/Key` in a dictionary: the text of a nested << >>, or the
+// dictionary of the object it refers to
+function dictEntry(objects, dict, key) {
+  const at = dict.search(new RegExp(`/${key}\\b`));
+  if (at === -1) return null;
+  const rest = dict.slice(at + key.length + 1).trimStart();
+  if (rest.startsWith('<<')) {
+    let depth = 0;
+    for (let i = 0; i < rest.length - 1; i++) {
+      if (rest[i] === '<' && rest[i + 1] === '<') { depth++; i++; }
+      else if (rest[i] === '>' && rest[i + 1] === '>') {
+        depth--;
+        i++;
+        if (depth === 0) return rest.slice(2, i - 1);
+      }
+    }
+    return null;
+  }
+  const ref = rest.match(/^(\d+)\s+\d+\s+R/);
+  const target = ref && objects.get(Number(ref[1]));
+  return target ? target.dict : null;
+}
+
+// ============================================
+// Fonts
+// ============================================
+// Parses a ToUnicode CMap into { bytes, map }: how many bytes each code
+// takes and what text each code stands for.
+function parseToUnicode(cmap) {
+  const map = new Map();
+  const hexText = (hex) => {
+    let text = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) text += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+    return text || String.fromCharCode(parseInt(hex, 16));
+  };
+  const space = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const bytes = space ? Math.max(1, space[1].length / 2) : 2;
+
+  [...cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)].forEach(block => {
+    [...block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)].forEach(m => map.set(parseInt(m[1], 16), hexText(m[2])));
+  });
+  [...cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)].forEach(block => {
+    [...block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)].forEach(m => {
+      const from = parseInt(m[1], 16);
+      const to = parseInt(m[2], 16);
+      if (m[3].startsWith('[')) {
+        [...m[3].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((t, i) => map.set(from + i, hexText(t[1])));
+        return;
+      }
+      const base = m[3].slice(1, -1);
+      const last = parseInt(base.slice(-4), 16);
+      const prefix = base.length > 4 ? hexText(base.slice(0, -4)) : '';
+      for (let code = from; code <= to && code - from < 0x10000; code++) {
+        map.set(code, prefix + String.fromCharCode(last + code - from));
+      }
+    });
+  });
+  return { bytes, map };
+}
+
+// Resource name ("F1") -> decoder, for one page
+function pageFonts(objects, page) {
+  let resources = dictEntry(objects, page, 'Resources');
+  // Resources can be inherited from the page tree
+  let parent = page;
+  while (!resources && (parent = dictEntry(objects, parent, 'Parent'))) resources = dictEntry(objects, parent, 'Resources');
+  const fontDict = resources ? dictEntry(objects, resources, 'Font') : null;
+  const fonts = {};
+  if (!fontDict) return fonts;
+
+  [...fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)].forEach(([, name, num]) => {
+    const font = objects.get(Number(num));
+    if (!font) return;
+    const toUnicode = objectRefs((font.dict.match(/\/ToUnicode\s+\d+\s+\d+\s+R/) || [''])[0])[0];
+    const cmap = toUnicode !== undefined && objects.get(toUnicode);
+    if (cmap && cmap.data) {
+      fonts[name] = parseToUnicode(cmap.data);
+    } else {
+      // Two-byte (Type0) fonts without a map can't be read back as text
+      fonts[name] = /\/Subtype\s*\/Type0/.test(font.dict) ? { bytes: 2, map: new Map() } : null;
+    }
+  });
+  return fonts;
+}
+
+function decodeShown(bytes, font) {
+  if (!font) return bytes.replace(/[\x00-\x08\x0b\x0e-\x1f]/g, '');
+  let text = '';
+  for (let i = 0; i + font.bytes <= bytes.length; i += font.bytes) {
+    let code = 0;
+    for (let b = 0; b < font.bytes; b++) code = code * 256 + bytes.charCodeAt(i + b);
+    text += font.map.has(code) ? font.map.get(code) : (font.bytes === 1 ? bytes[i] : '');
+  }
+  return text;
+}
+
+// ============================================
+// Content Streams
+// ============================================
+// Reads a literal string "( ... )" starting at `i`; returns [bytes, next]
+function readLiteral(content, i) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let depth = 1;
+  let out = '';
+  i++;
+  while (i < content.length && depth > 0) {
+    const ch = content[i];
+    if (ch === '\\') {
+      const next = content[i + 1];
+      if (/[0-7]/.test(next)) {
+        const octal = content.substr(i + 1, 3).match(/^[0-7]{1,3}/)[0];
+        out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        i += octal.length + 1;
+        continue;
+      }
+      if (next === '\r' || next === '\n') {
+        i += content.substr(i + 1, 2) === '\r\n' ? 3 : 2;
+        continue;
+      }
+      out += escapes[next] !== undefined ? escapes[next] : next;
+      i += 2;
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')' && --depth === 0) break;
+    out += ch;
+    i++;
+  }
+  return [out, i + 1];
+}
+
+// A name or operator: a run of regular characters (sticky, read at lastIndex)
+const TOKEN = /[^\s/<>[\]()%]+/y;
+
+// Walks the text operators, starting a new line when the baseline moves and
+// a space for wide gaps within a line. `lineY` is the text line matrix's
+// baseline, which BT resets; `y` the baseline of the text so far.
+function contentText(content, fonts) {
+  const lines = [];
+  let line = '';
+  let font = null;
+  let y = null;
+  let lineY = 0;
+  let leading = 0;
+  let operands = [];
+  const newLine = () => {
+    if (line.trim()) lines.push(line.replace(/\s+/g, ' ').trim());
+    line = '';
+  };
+  const show = (bytes) => {
+    if (y === null) y = lineY;
+    line += decodeShown(bytes, font);
+  };
+  const moveTo = (nextY, gap) => {
+    if (y !== null && Math.abs(nextY - y) > 1) newLine();
+    else if (gap) line += ' ';
+    y = nextY;
+  };
+
+  let i = 0;
+  while (i < content.length) {
+    const ch = content[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '%') { i = content.indexOf('\n', i); if (i === -1) break; continue; }
+    if (ch === '(') {
+      const [bytes, next] = readLiteral(content, i);
+      operands.push({ string: bytes });
+      i = next;
+      continue;
+    }
+    if (ch === '<' && content[i + 1] === '<') {
+      // Marked-content property list, which can nest; skip it whole
+      let depth = 0;
+      while (i < content.length) {
+        if (content.startsWith('<<', i)) {
+          depth++;
+          i += 2;
+        } else if (content.startsWith('>>', i)) {
+          i += 2;
+          if (--depth === 0) break;
+        } else {
+          i++;
+        }
+      }
+      continue;
+    }
+    if (ch === '<') {
+      const end = content.indexOf('>', i);
+      // An unterminated hex string runs to the end of the stream
+      if (end === -1) break;
+      const hex = content.slice(i + 1, end).replace(/\s/g, '');
+      const padded = hex.length % 2 ? `${hex}0` : hex;
+      let bytes = '';
+      for (let h = 0; h < padded.length; h += 2) bytes += String.fromCharCode(parseInt(padded.substr(h, 2), 16));
+      operands.push({ string: bytes });
+      i = end + 1;
+      continue;
+    }
+    if (ch === '[') { operands.push({ arrayStart: true }); i++; continue; }
+    if (ch === ']') {
+      const at = operands.map(o => o.arrayStart).lastIndexOf(true);
+      const items = operands.splice(at);
+      items.shift();
+      operands.push({ array: items });
+      i++;
+      continue;
+    }
+    if (ch === '/') {
+      TOKEN.lastIndex = i + 1;
+      const name = (content.match(TOKEN) || [''])[0];
+      operands.push({ name });
+      i += name.length + 1;
+      continue;
+    }
+    TOKEN.lastIndex = i;
+    const match = content.match(TOKEN);
+    // A stray ")" or ">" is malformed; step over it
+    if (!match) {
+      i++;
+      continue;
+    }
+    const token = match[0];
+    i += token.length;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      operands.push({ number: Number(token) });
+      continue;
+    }
+
+    const nums = operands.filter(o => o.number !== undefined).map(o => o.number);
+    switch (token) {
+      case 'Tf': {
+        const name = operands.find(o => o.name !== undefined);
+        font = name && Object.prototype.hasOwnProperty.call(fonts, name.name) ? fonts[name.name] : null;
+        break;
+      }
+      case 'BT': lineY = 0; break;
+      case 'TL': leading = nums[0] || 0; break;
+      case 'Tm':
+        lineY = nums[5];
+        moveTo(lineY, true);
+        break;
+      case 'Td':
+      case 'TD':
+        if (token === 'TD') leading = -(nums[1] || 0);
+        lineY += nums[1] || 0;
+        moveTo(lineY, nums[0] > 0);
+        break;
+      case 'T*':
+        lineY -= leading;
+        newLine();
+        y = lineY;
+        break;
+      case 'Tj': operands.filter(o => o.string !== undefined).forEach(o => show(o.string)); break;
+      case "'":
+      case '"':
+        lineY -= leading;
+        newLine();
+        y = lineY;
+        operands.filter(o => o.string !== undefined).forEach(o => show(o.string));
+        break;
+      case 'TJ': {
+        const array = operands.find(o => o.array);
+        (array ? array.array : []).forEach(item => {
+          if (item.string !== undefined) show(item.string);
+          else if (item.number < -180) line += ' ';
+        });
+        break;
+      }
+      case 'BI': {
+        // Inline image data is binary; jump past it
+        const end = content.indexOf('EI', i);
+        i = end === -1 ? content.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+  newLine();
+  return lines;
+}
+
+// ============================================
+// PDF Text
+// ============================================
+// Returns { text, pages } or { error }. Scanned PDFs (images only) come
+// back with empty text; the caller decides what to say.
+async function extractPDFText(buffer) {
+  const raw = latin1(new Uint8Array(buffer));
+  if (!raw.startsWith('%PDF-')) return { error: 'This file is not a PDF.' };
+  if (/\/Encrypt\s+(\d+\s+\d+\s+R|<<)/.test(raw)) {
+    return { error: 'This PDF is password-protected. Save an unprotected copy (print it to PDF) and try again.' };
+  }
+
+  const objects = await readPDFObjects(raw);
+  const pages = [...objects.values()].filter(o => /\/Type\s*\/Page(?!s)\b/.test(o.dict));
+  const text = pages.map(page => {
+    const fonts = pageFonts(objects, page.dict);
+    const contents = (page.dict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/) || [, ''])[1];
+    const content = objectRefs(contents).map(num => (objects.get(num) || {}).data || '').join('\n');
+    return contentText(content, fonts).join('\n');
+  });
+  return { text: text.join('\n').trim(), pages: pages.length };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { extractPDFText, parseToUnicode, contentText };
+}
@@ -0,0 +1,196 @@
+/**
+ * TaxTrack NG - Receipt Parser
+ * Turns raw OCR text into merchant, date, line items, subtotal, VAT and grand total
+ */
+
+// ============================================
+// Line Classification
+// ============================================
+const RECEIPT_PATTERNS = {
+  grandTotal: /\bgrand\s*total\b/i,
+  total: /\b(total(\s*(due|amount|payable|ngn))?|amount\s*(due|payable)|balance\s*due|net\s*payable)\b/i,
+  subtotal: /\b(sub[\s-]?total|total\s*before\s*tax|total\s*excl?\.?(\s*vat)?|net\s*amount)\b/i,
+  vat: /\b(v\.?\s?a\.?\s?t\.?|tax)\b/i,
+  // Lines carrying numbers that are never amounts
+  reference: /\b(tel|phone|mob(ile)?|whatsapp|fax|inv(oice)?|receipt|rcpt|txn|trans(action)?\s*(id|no|ref)|ref(erence)?|no\.|terminal|tid|mid|stan|rrn|auth|card|pan|acct|account|rc\s*no|cashier|till|pos\s*id|serial)\b|\btin\s*(no\.?|number)?\s*[:#]|#\s*\d/i,
+  // Payment lines repeat the total or show change given back
+  payment: /\b(cash|tendered|paid|change|card\s*payment|transfer|pos|debit|credit|rounding)\b/i,
+  address: /\b(street|st\.|road|rd\.|avenue|ave\.|close|crescent|way|estate|plaza|mall|lagos|abuja|ikeja|lekki|victoria island|port harcourt|ibadan|kano|nigeria)\b/i
+};
+
+// A money value at the end of a line: "₦1,250.00", "N 1 250.00", "1250".
+// It can't start right after a quantity ("x2 800.00" is 800).
+const TRAILING_AMOUNT = /(?:₦|NGN|N)?\s?(?<![\dxX×*@.,])(-?\d{1,3}(?:[,\s]\d{3})+(?:\.\d{1,2})?|-?\d+(?:\.\d{1,2})?)\s*$/;
+
+const MONTH_NAMES = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function trailingAmount(line) {
+  const match = line.match(TRAILING_AMOUNT);
+  if (!match) return null;
+  const raw = match[1];
+  const value = parseFloat(raw.replace(/[,\s]/g, ''));
+  if (!isFinite(value)) return null;
+  return {
+    value: Math.abs(value),
+    raw,
+    hasDecimals: /\.\d{1,2}$/.test(raw),
+    text: line.slice(0, match.index).trim()
+  };
+}
+
+// Long digit runs with no separators or decimals are phone, card or
+// invoice numbers rather than prices.
+function looksLikeIdentifier(amount) {
+  const digits = amount.raw.replace(/\D/g, '');
+  return !amount.hasDecimals && !/[,\s]/.test(amount.raw) && digits.length >= 7;
+}
+
+// ============================================
+// Field Extraction
+// ============================================
+function findReceiptDate(lines) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const build = (y, m, d) => {
+    const year = y < 100 ? 2000 + y : y;
+    const date = new Date(Date.UTC(year, m - 1, d));
+    if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+    return `${year}-${pad(m)}-${pad(d)}`;
+  };
+  const patterns = [
+    { re: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/, parts: (m) => [+m[1], +m[2], +m[3]] },
+    { re: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/, parts: (m) => [+m[3], +m[2], +m[1]] },
+    { re: /\b(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s,]+(\d{2,4})\b/, parts: (m) => [+m[3], MONTH_NAMES[m[2].toLowerCase()], +m[1]] },
+    { re: /\b([A-Za-z]{3})[A-Za-z]*\s+(\d{1,2}),?\s+(\d{4})\b/, parts: (m) => [+m[3], MONTH_NAMES[m[1].toLowerCase()], +m[2]] }
+  ];
+
+  let best = null;
+  lines.forEach((line, index) => {
+    patterns.forEach(({ re, parts }) => {
+      const match = line.match(re);
+      if (!match) return;
+      const [y, m, d] = parts(match);
+      const value = m ? build(y, m, d) : null;
+      if (!value) return;
+      const confidence = /\bdate\b/i.test(line) ? 0.95 : 0.75;
+      if (!best || confidence > best.confidence) best = { value, confidence, line: index };
+    });
+  });
+  return best;
+}
+
+// The merchant is usually the first line with words and no amount,
+// printed in capitals above the address.
+function findMerchant(lines) {
+  for (let i = 0; i < Math.min(lines.length, 5); i++) {
+    const line = lines[i];
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    if (letters.length < 3) continue;
+    if (RECEIPT_PATTERNS.reference.test(line)) continue;
+    // Branch names like "SHOPRITE LEKKI" are fine; street addresses carry numbers or commas
+    if (RECEIPT_PATTERNS.address.test(line) && /[\d,]/.test(line)) continue;
+    if (trailingAmount(line) && /\d{3}/.test(line)) continue;
+    const upperRatio = letters.replace(/[^A-Z]/g, '').length / letters.length;
+    const value = line.replace(/[^\w&'.\- ]/g, ' ').replace(/\s+/g, ' ').trim();
+    const confidence = (i === 0 ? 0.6 : 0.45) + (upperRatio > 0.7 ? 0.25 : 0);
+    return { value, confidence: round2(confidence), line: i };
+  }
+  return null;
+}
+
+function parseVATRate(line) {
+  const match = line.match(/(\d{1,2}(?:\.\d{1,2})?)\s*%/);
+  return match ? Number(match[1]) / 100 : null;
+}
+
+// ============================================
+// Receipt Parser
+// ============================================
+// Pure function: takes OCR text, returns every field with a 0–1 confidence.
+// Only the grand total and the stated VAT are meant to be preselected.
+function parseReceiptText(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(l => l.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const result = {
+    merchant: findMerchant(lines),
+    date: findReceiptDate(lines),
+    items: [],
+    subtotal: null,
+    vat: null,
+    total: null
+  };
+
+  const totals = [];
+  lines.forEach((line, index) => {
+    const amount = trailingAmount(line);
+    if (!amount || amount.value <= 0) return;
+    if (result.merchant && index === result.merchant.line) return;
+    if (result.date && index === result.date.line && !/\d[,.]\d{2}\s*$/.test(line)) return;
+    if (RECEIPT_PATTERNS.reference.test(line) || looksLikeIdentifier(amount)) return;
+
+    if (RECEIPT_PATTERNS.subtotal.test(line)) {
+      result.subtotal = { amount: amount.value, confidence: 0.85, line: index };
+    } else if (RECEIPT_PATTERNS.grandTotal.test(line)) {
+      totals.push({ amount: amount.value, confidence: 0.95, line: index });
+    } else if (RECEIPT_PATTERNS.vat.test(line) && !RECEIPT_PATTERNS.total.test(line)) {
+      // The last VAT line wins; earlier ones are often "VAT inclusive" notes
+      result.vat = { amount: amount.value, rate: parseVATRate(line), confidence: 0.85, line: index };
+    } else if (RECEIPT_PATTERNS.total.test(line)) {
+      totals.push({ amount: amount.value, confidence: 0.8, line: index });
+    } else if (!RECEIPT_PATTERNS.payment.test(line) && /[A-Za-z]{2}/.test(amount.text)) {
+      result.items.push({
+        description: amount.text.replace(/[^\w&'.%\- ]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 50),
+        amount: amount.value,
+        confidence: amount.hasDecimals ? 0.7 : 0.5,
+        line: index
+      });
+    }
+  });
+
+  // Prefer an explicit grand total, else the largest "total" line
+  if (totals.length) {
+    result.total = totals.reduce((best, t) =>
+      t.confidence > best.confidence || (t.confidence === best.confidence && t.amount > best.amount) ? t : best);
+  }
+
+  // Items printed after the total are payment or change lines
+  if (result.total) {
+    result.items = result.items.filter(item => item.line < result.total.line);
+  }
+
+  // Cross-check: subtotal + VAT should equal the total
+  const { subtotal, vat, total } = result;
+  if (total && vat && subtotal && Math.abs(subtotal.amount + vat.amount - total.amount) <= 1) {
+    total.confidence = 0.99;
+    vat.confidence = 0.99;
+    subtotal.confidence = 0.99;
+  } else if (total && vat && vat.rate && Math.abs(total.amount * vat.rate / (1 + vat.rate) - vat.amount) <= 1) {
+    total.confidence = Math.max(total.confidence, 0.9);
+    vat.confidence = 0.95;
+  } else if (vat && total && vat.amount >= total.amount) {
+    vat.confidence = 0.3;
+  }
+
+  // No total line at all: fall back to the largest line amount
+  if (!result.total && result.items.length) {
+    const largest = result.items.reduce((a, b) => (b.amount > a.amount ? b : a));
+    result.total = { amount: largest.amount, confidence: 0.35, line: largest.line };
+  }
+
+  const itemsSum = round2(result.items.reduce((sum, item) => sum + item.amount, 0));
+  if (result.total && result.subtotal === null && itemsSum > 0 && Math.abs(itemsSum - result.total.amount) <= 1) {
+    result.items.forEach(item => { item.confidence = Math.max(item.confidence, 0.85); });
+  }
+
+  return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseReceiptText };
+}
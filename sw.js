@@ -0,0 +1,182 @@
+/**
+ * TaxTrack NG - Service Worker
+ * Caches the app for offline use, hands over to new versions when the page asks, shows filing reminders and weekly digests, and brings the dashboard back when one is clicked
+ */
+
+// ============================================
+// Caches
+// ============================================
+// App files are fetched fresh whenever the network answers, so deploying
+// them needs nothing here. Bump CACHE_VERSION when this file's precache list
+// or handlers change: the changed file is how browsers spot the new worker.
+const CACHE_VERSION = 'v4';
+const STATIC_CACHE = `taxtrack-static-${CACHE_VERSION}`;
+// Tesseract (about 8 MB with the WASM and English data) is only fetched the
+// first time a receipt is scanned, then kept. Named after its version so an
+// upgrade starts a fresh cache.
+const OCR_CACHE = 'taxtrack-ocr-4.0.2';
+const OCR_PATH = new URL('vendor/tesseract/', self.registration.scope).pathname;
+// How long to wait for the network before falling back to a cached copy
+const NETWORK_TIMEOUT_MS = 4000;
+// Google Fonts, kept as they are fetched
+const RUNTIME_CACHE = 'taxtrack-runtime';
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'login.html',
+  'signup.html',
+  'reset-password.html',
+  'oauth-callback.html',
+  'dashboard.html',
+  'profile.html',
+  'contact.html',
+  'privacy.html',
+  'tos.html',
+  'style.css',
+  'login.css',
+  'signup.css',
+  'dashboard.css',
+  'profile.css',
+  'mock-backend.js',
+  'tax-aggregates.js',
+  'transaction-query.js',
+  'tax-report.js',
+  'business-tax.js',
+  'taxpayer-profile.js',
+  'filing-calendar.js',
+  'currency.js',
+  'tax-rules.js',
+  'paye-rules.js',
+  'backup.js',
+  'app.js',
+  'csv-import.js',
+  'receipt-parser.js',
+  'pdf-text.js',
+  'payslip-parser.js',
+  'dashboard.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-180.png',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'vendor/chartjs/chart.umd.min.js',
+  'vendor/fontawesome/css/all.min.css',
+  'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+  'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+  'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+  'vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+  'vendor/qrcodejs/qrcode.min.js'
+];
+
+// ============================================
+// Lifecycle
+// ============================================
+// A new version waits until the page asks it to take over (after the user
+// agrees to refresh), so a page never runs on a mix of old and new files.
+// The very first install has nothing to replace and starts straight away.
+// Files are cached one by one: a file that fails to download is fetched
+// again on first use rather than failing the whole install.
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(STATIC_CACHE).then(cache => Promise.all(PRECACHE_URLS.map(url =>
+    cache.add(url).catch(err => console.warn(`Could not precache ${url}:`, err))
+  ))));
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [STATIC_CACHE, OCR_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => /^taxtrack-(static|ocr)-/.test(key) && !current.includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ============================================
+// Requests
+// ============================================
+// App files come from the network, refreshing the precache, and from the
+// precache when offline or slow (pages match without their query string,
+// which the OAuth callback carries). OCR files come from their own cache once
+// fetched. Font files are served from the runtime cache while a fresh copy
+// is fetched. Everything else, the API above all, goes to the network
+// untouched: it carries the user's data.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(url.pathname.startsWith(OCR_PATH)
+      ? cacheFirst(event, request, OCR_CACHE)
+      : networkFirst(event, request));
+    return;
+  }
+  if (!RUNTIME_HOSTS.includes(url.hostname)) return;
+
+  event.respondWith(
+    caches.open(RUNTIME_CACHE).then(cache => cache.match(request).then((cached) => {
+      const fresh = fetch(request)
+        .then((response) => {
+          if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached || Response.error());
+      if (cached) event.waitUntil(fresh);
+      return cached || fresh;
+    }))
+  );
+});
+
+function networkFirst(event, request) {
+  const navigate = request.mode === 'navigate';
+  const fresh = fetch(request).then((response) => {
+    if (response.status === 200) {
+      // Pages are stored without their query string, which may hold an
+      // OAuth code
+      const url = new URL(request.url);
+      const key = navigate ? url.origin + url.pathname : request;
+      const copy = response.clone();
+      event.waitUntil(caches.open(STATIC_CACHE).then(cache => cache.put(key, copy)));
+    }
+    return response;
+  });
+  fresh.catch(() => {});
+  const cached = () => caches.match(request, { cacheName: STATIC_CACHE, ignoreSearch: navigate });
+  const slow = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS));
+
+  // A slow network gives way to the cached copy, if there is one; a failed
+  // one always does
+  return Promise.race([fresh, slow.then(cached)])
+    .then(response => response || fresh)
+    .catch(() => cached().then(response => response || Response.error()));
+}
+
+function cacheFirst(event, request, cacheName) {
+  return caches.open(cacheName).then(cache => cache.match(request).then(cached => cached || fetch(request).then((response) => {
+    if (response.status === 200) event.waitUntil(cache.put(request, response.clone()));
+    return response;
+  })));
+}
+
+// ============================================
+// Notifications
+// ============================================
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = new URL((event.notification.data && event.notification.data.url) || 'dashboard.html', self.registration.scope);
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find(w => new URL(w.url).pathname === target.pathname);
+      return open ? open.focus() : self.clients.openWindow(target.href);
+    })
+  );
+});
@@ -0,0 +1,133 @@
+/**
+ * TaxTrack NG - Tax Aggregates
+ * Totals by type, month and category/vendor shared by the summary charts, profile stats and reports
+ */
+
+// ============================================
+// Constants
+// ============================================
+const TAX_TYPES = ['PAYE', 'VAT', 'Consumption'];
+
+// Business income and expenses share the transaction store (and its sync)
+// but are not tax paid, so tax views leave them out
+const LEDGER_TYPES = ['Income', 'Expense'];
+
+// Labels used when a transaction has no category or vendor recorded
+const UNGROUPED_LABELS = {
+  category: 'Other',
+  vendor: 'Unknown vendor'
+};
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function taxAmountOf(tx) {
+  return Number(tx.taxAmount ?? tx.amount) || 0;
+}
+
+function isTaxTransaction(tx) {
+  return !LEDGER_TYPES.includes(tx.type);
+}
+
+// ============================================
+// Filtering
+// ============================================
+function groupKey(tx, field) {
+  const value = String(tx[field] || '').trim();
+  return value || UNGROUPED_LABELS[field] || 'Other';
+}
+
+// filter: { type, category, vendor, start, end } — every key is optional,
+// `start` is inclusive and `end` exclusive.
+function filterTransactions(transactions, filter = {}) {
+  const start = filter.start ? new Date(filter.start) : null;
+  const end = filter.end ? new Date(filter.end) : null;
+  return transactions.filter(tx => {
+    if (filter.type && tx.type !== filter.type) return false;
+    if (filter.category && groupKey(tx, 'category') !== filter.category) return false;
+    if (filter.vendor && groupKey(tx, 'vendor') !== filter.vendor) return false;
+    if (start || end) {
+      const date = new Date(tx.date);
+      if (start && date < start) return false;
+      if (end && date >= end) return false;
+    }
+    return true;
+  });
+}
+
+// ============================================
+// Aggregation
+// ============================================
+function summarizeByType(transactions) {
+  const totals = { paye: 0, vat: 0, consumption: 0 };
+  transactions.forEach(tx => {
+    if (tx.type === 'PAYE') totals.paye += taxAmountOf(tx);
+    else if (tx.type === 'VAT') totals.vat += taxAmountOf(tx);
+    else if (tx.type === 'Consumption') totals.consumption += taxAmountOf(tx);
+  });
+  const paye = roundMoney(totals.paye);
+  const vat = roundMoney(totals.vat);
+  const consumption = roundMoney(totals.consumption);
+  return { paye, vat, consumption, total: roundMoney(paye + vat + consumption), count: transactions.length };
+}
+
+// One bucket per calendar month from `start`, each with totals by type
+function aggregateByMonth(transactions, start, months = 12) {
+  const first = new Date(start);
+  return Array.from({ length: months }, (_, i) => {
+    const bucketStart = new Date(first.getFullYear(), first.getMonth() + i, 1);
+    const bucketEnd = new Date(first.getFullYear(), first.getMonth() + i + 1, 1);
+    const inMonth = filterTransactions(transactions, { start: bucketStart, end: bucketEnd });
+    return {
+      start: bucketStart,
+      end: bucketEnd,
+      label: bucketStart.toLocaleDateString('en-NG', { month: 'short', year: '2-digit' }),
+      ...summarizeByType(inMonth)
+    };
+  });
+}
+
+// Running total of tax paid across monthly buckets. Months that have not
+// started yet are null so a chart line stops at the current month.
+function cumulativeTotals(buckets, asOf = new Date()) {
+  let running = 0;
+  return buckets.map(bucket => {
+    if (bucket.start > asOf) return null;
+    running = roundMoney(running + bucket.total);
+    return running;
+  });
+}
+
+// Tax paid grouped by 'category' or 'vendor', largest first. Anything
+// beyond `limit` groups is folded into a single remainder entry.
+function breakdownBy(transactions, field, limit = 8) {
+  const groups = new Map();
+  transactions.forEach(tx => {
+    const key = groupKey(tx, field);
+    const group = groups.get(key) || { key, amount: 0, count: 0 };
+    group.amount += taxAmountOf(tx);
+    group.count += 1;
+    groups.set(key, group);
+  });
+
+  const sorted = [...groups.values()]
+    .map(g => ({ ...g, amount: roundMoney(g.amount) }))
+    .sort((a, b) => b.amount - a.amount);
+  if (sorted.length <= limit) return sorted;
+
+  const rest = sorted.slice(limit);
+  return sorted.slice(0, limit).concat({
+    key: null,
+    label: `${rest.length} more`,
+    amount: roundMoney(rest.reduce((sum, g) => sum + g.amount, 0)),
+    count: rest.reduce((sum, g) => sum + g.count, 0)
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TAX_TYPES, LEDGER_TYPES, roundMoney, taxAmountOf, isTaxTransaction, groupKey, filterTransactions, summarizeByType,
+    aggregateByMonth, cumulativeTotals, breakdownBy
+  };
+}
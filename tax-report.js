@@ -0,0 +1,261 @@
+/**
+ * TaxTrack NG - Tax Report
+ * Builds the year-end report and renders it as printable HTML (for PDF), sectioned CSV or JSON
+ * Uses the totals helpers from tax-aggregates.js
+ */
+
+// ============================================
+// Report Builder
+// ============================================
+function monthsBetween(start, end) {
+  return (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() + (end.getDate() > 1 ? 1 : 0);
+}
+
+// options: { taxpayer, range: { start, end, label }, transactions, calculatePAYE }
+// `transactions` should already be limited to the range.
+function buildTaxReport({ taxpayer = {}, range, transactions, calculatePAYE }) {
+  const byDate = transactions.slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  // The PAYE calculator stores its inputs on the transaction, so the band
+  // computation can be reproduced exactly; older entries only have the gross.
+  const paye = byDate.filter(tx => tx.type === 'PAYE').map(tx => ({
+    date: tx.date,
+    details: tx.details,
+    grossIncome: tx.baseAmount,
+    taxPaid: tx.taxAmount,
+    computation: calculatePAYE && tx.baseAmount && tx.reliefs
+      ? calculatePAYE(tx.baseAmount, tx.reliefs, tx.taxYear || new Date(tx.date).getFullYear())
+      : null
+  }));
+
+  const vatEntries = byDate.filter(tx => tx.type === 'VAT');
+  const vatSchedule = vatEntries.map(tx => ({
+    date: tx.date,
+    vendor: tx.vendor,
+    details: tx.details,
+    category: tx.category,
+    baseAmount: tx.baseAmount,
+    rate: tx.rate,
+    taxAmount: tx.taxAmount,
+    source: tx.source
+  }));
+
+  const receipts = byDate
+    .filter(tx => tx.receiptId || tx.receiptName)
+    .map(tx => ({
+      date: tx.date,
+      vendor: tx.vendor,
+      receipt: tx.receiptName || tx.receiptId,
+      type: tx.type,
+      taxAmount: tx.taxAmount
+    }));
+
+  // Monthly totals cover the whole range, or the span of the data for "all time"
+  const start = range.start || (byDate.length ? new Date(byDate[0].date) : new Date());
+  const end = range.end || new Date();
+  const monthly = aggregateByMonth(transactions, start, Math.max(1, monthsBetween(new Date(start), new Date(end))));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    period: {
+      label: range.label,
+      start: range.start ? new Date(range.start).toISOString() : null,
+      end: range.end ? new Date(range.end).toISOString() : null
+    },
+    taxpayer: {
+      name: [taxpayer.firstName, taxpayer.lastName].filter(Boolean).join(' '),
+      email: taxpayer.email || '',
+      taxId: taxpayer.taxId || '',
+      taxOffice: taxpayer.taxOffice || '',
+      employment: taxpayer.employment || ''
+    },
+    summary: summarizeByType(transactions),
+    paye,
+    vat: {
+      entries: vatSchedule,
+      totalBase: roundMoney(vatEntries.reduce((sum, tx) => sum + (Number(tx.baseAmount) || 0), 0)),
+      totalTax: roundMoney(vatEntries.reduce((sum, tx) => sum + taxAmountOf(tx), 0))
+    },
+    monthly: monthly.map(({ start: s, end: e, ...totals }) => ({ month: s.toISOString().slice(0, 7), ...totals })),
+    categories: breakdownBy(transactions, 'category', Infinity),
+    receipts
+  };
+}
+
+// ============================================
+// CSV / JSON
+// ============================================
+// Spreadsheets run text starting with = + - @ as a formula, and bank
+// descriptions end up in these cells, so such text gets a leading '.
+// Numbers are left alone: -500 is a refund, not a formula.
+function csvCell(value) {
+  let str = value === null || value === undefined ? '' : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function isoDay(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+// One file with a titled block per section, separated by blank lines, so it
+// opens cleanly in a spreadsheet.
+function reportToCSV(report) {
+  const lines = [];
+  const section = (title, header, rows) => {
+    if (lines.length) lines.push('');
+    lines.push(csvCell(title));
+    lines.push(header.map(csvCell).join(','));
+    rows.forEach(row => lines.push(row.map(csvCell).join(',')));
+  };
+
+  section('Taxpayer', ['Name', 'Email', 'TIN', 'Tax Office', 'Period', 'Generated'], [[
+    report.taxpayer.name, report.taxpayer.email, report.taxpayer.taxId, report.taxpayer.taxOffice,
+    report.period.label, report.generatedAt
+  ]]);
+  section('Summary', ['PAYE', 'VAT', 'Consumption', 'Total', 'Transactions'], [[
+    report.summary.paye, report.summary.vat, report.summary.consumption, report.summary.total, report.summary.count
+  ]]);
+  section('PAYE', ['Date', 'Details', 'Gross Income', 'Reliefs', 'Taxable Income', 'Tax', 'Rules'],
+    report.paye.map(p => [
+      isoDay(p.date), p.details, p.grossIncome,
+      p.computation ? p.computation.reliefs.total : '',
+      p.computation ? p.computation.taxableIncome : '',
+      p.taxPaid,
+      p.computation ? `${p.computation.rules} (${p.computation.taxYear})` : ''
+    ]));
+  section('VAT Schedule', ['Date', 'Vendor', 'Details', 'Category', 'Base Amount', 'Rate', 'VAT', 'Source'],
+    report.vat.entries.map(v => [isoDay(v.date), v.vendor, v.details, v.category, v.baseAmount, v.rate, v.taxAmount, v.source])
+      .concat([['Total', '', '', '', report.vat.totalBase, '', report.vat.totalTax, '']]));
+  section('Monthly Totals', ['Month', 'PAYE', 'VAT', 'Consumption', 'Total', 'Transactions'],
+    report.monthly.map(m => [m.month, m.paye, m.vat, m.consumption, m.total, m.count]));
+  section('Category Totals', ['Category', 'Tax', 'Transactions'],
+    report.categories.map(c => [c.key, c.amount, c.count]));
+  section('Receipts', ['Date', 'Vendor', 'Receipt', 'Type', 'Tax'],
+    report.receipts.map(r => [isoDay(r.date), r.vendor, r.receipt, r.type, r.taxAmount]));
+
+  return lines.join('\r\n');
+}
+
+function reportToJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+// ============================================
+// Printable HTML
+// ============================================
+function escapeReportHTML(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function naira(amount) {
+  return amount === null || amount === undefined || amount === '' ? '-' : `₦${Number(amount).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function reportTable(headers, rows, emptyText) {
+  if (!rows.length) return `<p class="empty">${escapeReportHTML(emptyText)}</p>`;
+  return `<table>
+    <thead><tr>${headers.map(h => `<th>${escapeReportHTML(h)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table>`;
+}
+
+// A standalone document; the browser's print dialog saves it as the PDF
+function renderReportHTML(report) {
+  const e = escapeReportHTML;
+  const day = (date) => new Date(date).toLocaleDateString('en-NG', { year: 'numeric', month: 'short', day: 'numeric' });
+  const { taxpayer, summary } = report;
+
+  const payeBlocks = report.paye.map(p => {
+    const c = p.computation;
+    const bands = c ? reportTable(['Band', 'Rate', 'Taxable', 'Tax'], c.bands.filter(b => b.taxable > 0).map(b => [
+      b.to === null ? `Above ${naira(b.from)}` : `${naira(b.from)} – ${naira(b.to)}`,
+      `${(b.rate * 100).toFixed(0)}%`, naira(b.taxable), naira(b.tax)
+    ]), 'No taxable bands') : '';
+    return `<div class="block">
+      <h3>${e(p.details || 'PAYE')} <span class="muted">· ${day(p.date)}</span></h3>
+      <dl>
+        <dt>Gross income</dt><dd>${naira(p.grossIncome)}</dd>
+        ${c ? `<dt>Reliefs</dt><dd>${naira(c.reliefs.total)}${c.reliefs.cra ? ` (CRA ${naira(c.reliefs.cra)})` : ''}${c.reliefs.rent ? ` (rent relief ${naira(c.reliefs.rent)})` : ''}</dd>
+        <dt>Taxable income</dt><dd>${naira(c.taxableIncome)}</dd>
+        <dt>Rules</dt><dd>${e(c.rules)} (${c.taxYear})${c.minimumTaxApplied ? ' · minimum tax applied' : ''}</dd>` : ''}
+        <dt>Tax</dt><dd><strong>${naira(p.taxPaid)}</strong></dd>
+      </dl>
+      ${bands}
+    </div>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Tax Report ${e(report.period.label)} | TaxTrack NG</title>
+<style>
+  body { font-family: 'Outfit', Arial, sans-serif; color: #0a1628; margin: 32px; font-size: 12px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; border-bottom: 2px solid #00b894; padding-bottom: 4px; margin: 28px 0 12px; }
+  h3 { font-size: 13px; margin: 16px 0 8px; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+  th, td { text-align: left; padding: 5px 6px; border-bottom: 1px solid #e2e8f0; }
+  th { background: #f1f5f9; }
+  dl { display: grid; grid-template-columns: 160px 1fr; gap: 4px 12px; margin: 0 0 8px; }
+  dt { color: #64748b; }
+  dd { margin: 0; }
+  .muted, .empty { color: #64748b; }
+  .header { display: flex; justify-content: space-between; align-items: flex-start; }
+  .block { page-break-inside: avoid; }
+  @media print { body { margin: 12mm; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>Annual Tax Report</h1>
+      <div class="muted">${e(report.period.label)}${report.period.start ? ` · ${day(report.period.start)} – ${day(new Date(report.period.end) - 1)}` : ''}</div>
+    </div>
+    <div class="muted">TaxTrack NG<br>Generated ${day(report.generatedAt)}</div>
+  </div>
+
+  <h2>Taxpayer</h2>
+  <dl>
+    <dt>Name</dt><dd>${e(taxpayer.name) || '-'}</dd>
+    <dt>Email</dt><dd>${e(taxpayer.email) || '-'}</dd>
+    <dt>TIN</dt><dd>${e(taxpayer.taxId) || 'Not assigned'}</dd>
+    <dt>Tax office</dt><dd>${e(taxpayer.taxOffice) || '-'}</dd>
+    ${taxpayer.employment ? `<dt>Employment</dt><dd>${e(taxpayer.employment)}</dd>` : ''}
+  </dl>
+
+  <h2>Summary</h2>
+  ${reportTable(['Income Tax (PAYE)', 'VAT', 'Consumption Tax', 'Total', 'Transactions'],
+    [[naira(summary.paye), naira(summary.vat), naira(summary.consumption), `<strong>${naira(summary.total)}</strong>`, summary.count]], '')}
+
+  <h2>PAYE Computation</h2>
+  ${payeBlocks || '<p class="empty">No PAYE recorded in this period.</p>'}
+
+  <h2>VAT Schedule</h2>
+  ${reportTable(['Date', 'Vendor', 'Details', 'Category', 'Base', 'Rate', 'VAT'],
+    report.vat.entries.map(v => [
+      day(v.date), e(v.vendor) || '-', e(v.details), e(v.category),
+      naira(v.baseAmount), v.rate ? `${+(v.rate * 100).toFixed(2)}%` : '-', naira(v.taxAmount)
+    ]).concat(report.vat.entries.length ? [['<strong>Total</strong>', '', '', '', `<strong>${naira(report.vat.totalBase)}</strong>`, '', `<strong>${naira(report.vat.totalTax)}</strong>`]] : []),
+    'No VAT recorded in this period.')}
+
+  <h2>Monthly Totals</h2>
+  ${reportTable(['Month', 'PAYE', 'VAT', 'Consumption', 'Total'],
+    report.monthly.map(m => [e(m.label), naira(m.paye), naira(m.vat), naira(m.consumption), naira(m.total)]), 'No months in this period.')}
+
+  <h2>Totals by Category</h2>
+  ${reportTable(['Category', 'Tax', 'Transactions'],
+    report.categories.map(c => [e(c.key), naira(c.amount), c.count]), 'No transactions in this period.')}
+
+  <h2>Attached Receipts</h2>
+  ${reportTable(['Date', 'Vendor', 'Receipt', 'Type', 'Tax'],
+    report.receipts.map(r => [day(r.date), e(r.vendor) || '-', e(r.receipt), e(r.type), naira(r.taxAmount)]), 'No receipts attached in this period.')}
+</body>
+</html>`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { csvCell, buildTaxReport, reportToCSV, reportToJSON, renderReportHTML };
+}
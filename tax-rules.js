@@ -0,0 +1,155 @@
+/**
+ * TaxTrack NG - Tax Rules
+ * Dated VAT rates, the exempt and zero-rated goods catalogue, state consumption-tax rates, and the tax on an entered amount
+ */
+
+// ============================================
+// VAT Rules (versioned by date)
+// ============================================
+// Each rule set applies from `effectiveFrom` (YYYY-MM-DD) until the next
+// one. `zeroRated` and `exempt` list VAT_CLASSES ids; both mean no VAT on
+// the purchase, but only zero-rated suppliers can reclaim their input VAT.
+const VAT_RULES = [
+  {
+    id: 'VATA-1993',
+    label: 'VAT Act',
+    effectiveFrom: '1994-01-01',
+    rate: 0.05,
+    zeroRated: ['exports'],
+    exempt: ['basic-food', 'medical', 'education', 'baby-products', 'agric-inputs']
+  },
+  {
+    id: 'VATA-FA2019',
+    label: 'VAT Act (Finance Acts 2019 & 2020)',
+    effectiveFrom: '2020-02-01',
+    rate: 0.075,
+    zeroRated: ['exports'],
+    exempt: ['basic-food', 'medical', 'education', 'baby-products', 'sanitary', 'agric-inputs', 'residential-rent', 'public-transport']
+  },
+  {
+    id: 'NTA-2025',
+    label: 'Nigeria Tax Act 2025',
+    effectiveFrom: '2026-01-01',
+    rate: 0.075,
+    zeroRated: ['basic-food', 'medical', 'education', 'baby-products', 'sanitary', 'agric-inputs', 'exports'],
+    exempt: ['residential-rent', 'public-transport']
+  }
+];
+
+// What a purchase is, for its VAT treatment. `categories` are the
+// transaction categories that suggest it in manual entry.
+const VAT_CLASSES = [
+  { id: 'standard', label: 'Standard-rated goods & services' },
+  { id: 'basic-food', label: 'Basic food items', examples: 'Rice, beans, yam, garri, bread, fresh produce', categories: ['Groceries'] },
+  { id: 'medical', label: 'Medical & pharmaceutical', examples: 'Drugs, medical equipment, hospital services' },
+  { id: 'education', label: 'Education', examples: 'Tuition, textbooks and learning materials' },
+  { id: 'baby-products', label: 'Baby products', examples: 'Baby food, nappies' },
+  { id: 'sanitary', label: 'Sanitary products', examples: 'Sanitary towels, pads, tampons' },
+  { id: 'agric-inputs', label: 'Farm inputs', examples: 'Fertiliser, seedlings, veterinary medicine' },
+  { id: 'residential-rent', label: 'Residential rent', categories: ['Rent'] },
+  { id: 'public-transport', label: 'Shared public transport', examples: 'Buses, ferries, trains' },
+  { id: 'exports', label: 'Exported goods & services' }
+];
+
+const VAT_TREATMENT_LABELS = { standard: 'Standard rate', zero: 'Zero-rated', exempt: 'Exempt' };
+
+// ============================================
+// Consumption Tax (by state)
+// ============================================
+// State hotel and restaurant taxes, dated like the VAT rules. States not
+// listed use the rate set in Settings.
+const CONSUMPTION_TAX_RULES = [
+  {
+    state: 'Lagos',
+    label: 'Hotel Occupancy and Restaurant Consumption Law 2009',
+    effectiveFrom: '2009-01-01',
+    rate: 0.05,
+    covers: 'Hotels, restaurants and event centres'
+  }
+];
+
+// ============================================
+// Lookups
+// ============================================
+function latestRule(rules, date) {
+  const day = isoDate(date);
+  return rules.filter(r => r.effectiveFrom <= day)
+    .reduce((best, r) => (!best || r.effectiveFrom > best.effectiveFrom ? r : best), null);
+}
+
+function getVATRules(date = new Date()) {
+  return latestRule(VAT_RULES, date) || VAT_RULES[0];
+}
+
+function getVATClass(id) {
+  return VAT_CLASSES.find(c => c.id === id) || VAT_CLASSES[0];
+}
+
+// 'standard', 'zero' or 'exempt'
+function vatTreatment(vatClass, date = new Date()) {
+  const rules = getVATRules(date);
+  if (rules.zeroRated.includes(vatClass)) return 'zero';
+  if (rules.exempt.includes(vatClass)) return 'exempt';
+  return 'standard';
+}
+
+function getVATRate(date = new Date(), vatClass = 'standard') {
+  return vatTreatment(vatClass, date) === 'standard' ? getVATRules(date).rate : 0;
+}
+
+// The class manual entry starts on for a transaction category
+function suggestVATClass(category) {
+  const match = VAT_CLASSES.find(c => (c.categories || []).includes(category));
+  return match ? match.id : 'standard';
+}
+
+function getConsumptionTaxRule(state, date = new Date()) {
+  return latestRule(CONSUMPTION_TAX_RULES.filter(r => r.state === state), date);
+}
+
+// 0.075 -> "7.5%"
+function formatTaxRate(rate) {
+  return `${+(Number(rate) * 100).toFixed(2)}%`;
+}
+
+// ============================================
+// Tax on an Amount
+// ============================================
+// An inclusive amount already has the tax in it; an exclusive one is the
+// price before tax.
+function splitTaxAmount(amount, rate, inclusive = false) {
+  const round = (n) => Math.round(n * 100) / 100;
+  const value = Number(amount) || 0;
+  if (!inclusive) return { baseAmount: round(value), taxAmount: round(value * rate) };
+  const baseAmount = round(value / (1 + rate));
+  return { baseAmount, taxAmount: round(value - baseAmount) };
+}
+
+// The one place an entered amount becomes base and tax, for manual entry,
+// CSV import and receipt scans. `consumptionRate` (a fraction) covers
+// states without a rule. Returns { baseAmount, taxAmount, rate, rule, ... }
+// or { error }.
+function computeTax({ type = 'VAT', amount, date = new Date(), vatClass = 'standard', inclusive = false, state = '', consumptionRate = null }) {
+  if (type === 'Consumption') {
+    const rule = getConsumptionTaxRule(state, date);
+    const custom = consumptionRate === null || consumptionRate === '' ? null : Number(consumptionRate);
+    if (!rule && (custom === null || !(custom >= 0))) {
+      return { error: `No consumption tax rate for ${state ? `${state} State` : 'your state'}. Set one in Settings.` };
+    }
+    const rate = rule ? rule.rate : custom;
+    return { ...splitTaxAmount(amount, rate, inclusive), rate, rule: rule ? rule.label : 'Rate from Settings' };
+  }
+
+  const vatRules = getVATRules(date);
+  const id = getVATClass(vatClass).id;
+  const treatment = vatTreatment(id, date);
+  const rate = treatment === 'standard' ? vatRules.rate : 0;
+  return { ...splitTaxAmount(amount, rate, inclusive), rate, rule: vatRules.label, vatClass: id, treatment };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VAT_RULES, VAT_CLASSES, VAT_TREATMENT_LABELS, CONSUMPTION_TAX_RULES, getVATRules, getVATClass, vatTreatment,
+    getVATRate, suggestVATClass, getConsumptionTaxRule, formatTaxRate, splitTaxAmount, computeTax
+  };
+}
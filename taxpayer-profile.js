@@ -0,0 +1,180 @@
+/**
+ * TaxTrack NG - Taxpayer Profile
+ * TIN validation, states and tax offices, and the dashboard defaults for each employment type
+ */
+
+// ============================================
+// States & Tax Offices
+// ============================================
+const NIGERIAN_STATES = [
+  'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa', 'Benue', 'Borno',
+  'Cross River', 'Delta', 'Ebonyi', 'Edo', 'Ekiti', 'Enugu', 'FCT', 'Gombe', 'Imo',
+  'Jigawa', 'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara', 'Lagos', 'Nasarawa',
+  'Niger', 'Ogun', 'Ondo', 'Osun', 'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba',
+  'Yobe', 'Zamfara'
+];
+
+const FEDERAL_TAX_OFFICES = [
+  'Federal Inland Revenue Service',
+  'FIRS Large Taxpayers Office',
+  'FIRS Medium Taxpayers Office',
+  'FIRS Micro & Small Taxpayers Office'
+];
+
+function stateTaxOffice(state) {
+  return state === 'FCT' ? 'FCT Internal Revenue Service' : `${state} State Internal Revenue Service`;
+}
+
+// PAYE and personal income tax go to the state of residence, so its
+// revenue service is listed first.
+function getTaxOffices(state = '') {
+  const states = NIGERIAN_STATES.includes(state)
+    ? [state, ...NIGERIAN_STATES.filter(s => s !== state)]
+    : NIGERIAN_STATES;
+  return { federal: FEDERAL_TAX_OFFICES, state: states.map(stateTaxOffice) };
+}
+
+function isKnownTaxOffice(office) {
+  return FEDERAL_TAX_OFFICES.includes(office) || NIGERIAN_STATES.some(s => stateTaxOffice(s) === office);
+}
+
+// <option> markup for the state and tax office pickers
+function stateOptionsHTML(selected = '') {
+  return '<option value="">Select your state</option>' + NIGERIAN_STATES
+    .map(s => `<option value="${s}" ${s === selected ? 'selected' : ''}>${s === 'FCT' ? 'FCT (Abuja)' : s}</option>`)
+    .join('');
+}
+
+function taxOfficeOptionsHTML(state = '', selected = '') {
+  const offices = getTaxOffices(state);
+  const options = list => list.map(o => `<option value="${o}" ${o === selected ? 'selected' : ''}>${o}</option>`).join('');
+  return '<option value="">Select your tax office</option>'
+    + `<optgroup label="State">${options(offices.state)}</optgroup>`
+    + `<optgroup label="Federal">${options(offices.federal)}</optgroup>`;
+}
+
+// ============================================
+// TIN Validation
+// ============================================
+// Two formats are in use: the older FIRS TIN (8 digits, a dash and a
+// 4-digit office suffix, e.g. 12345678-0001) and the 10-digit JTB TIN.
+// The last digit of the main number looks like a mod-11 check digit, but
+// FIRS and the JTB don't publish the scheme, so a mismatch only warns.
+const TIN_FORMATS = {
+  FIRS: /^(\d{8})-?(\d{4})$/,
+  JTB: /^(\d{10})$/
+};
+
+// The made-up "123-45-6789" IDs older versions filled in for every new
+// account. They are no TIN at all, so they read as empty and are cleared on
+// the next save.
+const LEGACY_TAX_ID = /^\d{3}-\d{2}-\d{4}$/;
+
+function isLegacyTaxId(value) {
+  return LEGACY_TAX_ID.test(String(value || '').trim());
+}
+
+function tinCheckDigit(digits) {
+  const sum = [...digits].reduce((total, d, i) => total + Number(d) * (digits.length + 1 - i), 0);
+  return (11 - (sum % 11)) % 11;
+}
+
+function hasValidCheckDigit(number) {
+  const expected = tinCheckDigit(number.slice(0, -1));
+  return expected !== 10 && expected === Number(number.slice(-1));
+}
+
+// Returns { valid, tin, kind } with `tin` in its canonical form, plus a
+// `warning` when the check digit doesn't match; or { valid: false, message }.
+function validateTIN(value) {
+  const input = String(value || '').replace(/[\s.]/g, '');
+  if (!input) return { valid: false, message: 'Enter your Tax Identification Number.' };
+
+  const firs = input.match(TIN_FORMATS.FIRS);
+  const jtb = input.match(TIN_FORMATS.JTB);
+  if (!firs && !jtb) {
+    return { valid: false, message: 'A TIN is 10 digits (JTB) or 8 digits, a dash and 4 digits (FIRS).' };
+  }
+
+  const number = firs ? firs[1] : jtb[1];
+  if (/^(\d)\1+$/.test(number)) {
+    return { valid: false, message: 'That TIN is not valid. Check it against your FIRS/JTB registration.' };
+  }
+  const result = firs
+    ? { valid: true, tin: `${firs[1]}-${firs[2]}`, kind: 'FIRS' }
+    : { valid: true, tin: number, kind: 'JTB' };
+  if (!hasValidCheckDigit(number)) {
+    result.warning = 'This TIN doesn\'t look quite right. Check it against your FIRS/JTB registration.';
+  }
+  return result;
+}
+
+// ============================================
+// Employment Types
+// ============================================
+const EMPLOYMENT_TYPES = ['Salary Earner', 'Self-Employed', 'Business Owner'];
+
+// Types offered before self-employment had its own entry
+const LEGACY_EMPLOYMENT = {
+  Freelancer: 'Self-Employed',
+  Contractor: 'Self-Employed'
+};
+
+// What the dashboard opens on and shows by default. `calculators` are
+// dashboard page ids; `reliefs` are the PAYE relief fields.
+const CALCULATOR_PAGES = ['salary', 'vat', 'business'];
+const EMPLOYMENT_PROFILES = {
+  'Salary Earner': { landingPage: 'salary', calculators: ['salary', 'vat'], reliefs: ['pension', 'nhf', 'nhis', 'rent', 'other'] },
+  'Self-Employed': { landingPage: 'business', calculators: ['business', 'vat', 'salary'], reliefs: ['pension', 'rent', 'other'] },
+  'Business Owner': { landingPage: 'business', calculators: ['business', 'vat'], reliefs: ['rent', 'other'] }
+};
+
+function normalizeEmployment(value) {
+  if (EMPLOYMENT_TYPES.includes(value)) return value;
+  return LEGACY_EMPLOYMENT[value] || 'Salary Earner';
+}
+
+function employmentProfile(value) {
+  return EMPLOYMENT_PROFILES[normalizeEmployment(value)];
+}
+
+// ============================================
+// Profile Validation
+// ============================================
+// Checks the fields present in `updates`. Returns { profile, errors, warnings }
+// where `profile` has normalised values and `errors` and `warnings` map
+// field -> message. Warnings don't stop the save.
+function validateProfile(updates) {
+  const profile = { ...updates };
+  const errors = {};
+  const warnings = {};
+
+  ['firstName', 'lastName'].forEach(field => {
+    if (field in profile && !String(profile[field] || '').trim()) errors[field] = 'This field is required.';
+  });
+  if ('taxId' in profile && isLegacyTaxId(profile.taxId)) profile.taxId = '';
+  if ('taxId' in profile && profile.taxId) {
+    const result = validateTIN(profile.taxId);
+    if (result.valid) profile.taxId = result.tin;
+    else errors.taxId = result.message;
+    if (result.warning) warnings.taxId = result.warning;
+  }
+  if ('state' in profile && profile.state && !NIGERIAN_STATES.includes(profile.state)) {
+    errors.state = 'Pick your state of residence from the list.';
+  }
+  if ('taxOffice' in profile && profile.taxOffice && !isKnownTaxOffice(profile.taxOffice)) {
+    errors.taxOffice = 'Pick your tax office from the list.';
+  }
+  if ('employment' in profile) profile.employment = normalizeEmployment(profile.employment);
+
+  return { profile, errors, warnings };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NIGERIAN_STATES, FEDERAL_TAX_OFFICES, stateTaxOffice, getTaxOffices, isKnownTaxOffice,
+    stateOptionsHTML, taxOfficeOptionsHTML,
+    validateTIN, isLegacyTaxId, EMPLOYMENT_TYPES, CALCULATOR_PAGES, EMPLOYMENT_PROFILES, normalizeEmployment, employmentProfile,
+    validateProfile
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * TaxTrack NG - Backup tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// backup.js uses currency.js's validator, loaded before it on the page
+global.validateRate = require('../currency.js').validateRate;
+const { BACKUP_VERSION, encryptBackup, parseBackupFile, decryptBackup } = require('../backup.js');
+
+const PAYLOAD = {
+  version: BACKUP_VERSION,
+  createdAt: '2026-10-01T09:00:00.000Z',
+  profile: { firstName: 'Ada' },
+  settings: {},
+  transactions: [{ type: 'VAT', date: '2026-09-30', amount: 750 }],
+  receipts: [],
+  exchangeRates: [],
+  filings: [],
+  payroll: [],
+  csvPresets: {}
+};
+
+test('decrypts what it encrypted', async () => {
+  const envelope = await encryptBackup(PAYLOAD, 'correct horse');
+  const parsed = parseBackupFile(JSON.stringify(envelope));
+  assert.ok(parsed.envelope);
+  assert.deepEqual((await decryptBackup(parsed.envelope, 'correct horse')).payload, PAYLOAD);
+  assert.match((await decryptBackup(parsed.envelope, 'wrong horse')).error, /Wrong passphrase/);
+});
+
+test('only accepts its own key settings from a file', async () => {
+  const envelope = await encryptBackup(PAYLOAD, 'correct horse');
+  const crafted = [
+    { ...envelope.kdf, hash: 'SHA-1' },
+    { ...envelope.kdf, iterations: 1000 },
+    { ...envelope.kdf, iterations: 1e12 },
+    { ...envelope.kdf, iterations: '310000' }
+  ];
+  for (const kdf of crafted) {
+    assert.match(parseBackupFile(JSON.stringify({ ...envelope, kdf })).error, /encryption settings/);
+    assert.match((await decryptBackup({ ...envelope, kdf }, 'correct horse')).error, /encryption settings/);
+  }
+});
+
+test('rejects receipts whose id is not one the app makes', async () => {
+  const receipt = { id: 'lx2k9f0abc', fileName: 'shoprite.jpg' };
+  const payload = { ...PAYLOAD, receipts: [receipt] };
+  assert.ok((await decryptBackup(await encryptBackup(payload, 'correct horse'), 'correct horse')).payload);
+
+  const crafted = { ...PAYLOAD, receipts: [{ ...receipt, id: "x');alert(1);('" }] };
+  assert.match((await decryptBackup(await encryptBackup(crafted, 'correct horse'), 'correct horse')).error, /receipts in the backup are unreadable/);
+});
@@ -0,0 +1,107 @@
+/**
+ * TaxTrack NG - CSV Import tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BANK_PRESETS, parseCSV, detectHeaderRow, parseStatementDate, parseStatementAmount,
+  matchPreset, detectBank, extractStatementRows, buildImportRef, markDuplicates
+} = require('../csv-import.js');
+
+test('parses quoted commas, escaped quotes and line breaks', () => {
+  const text = [
+    'Date,Description,Debit',
+    '01/09/2026,"POS, Shoprite Lekki",5000',
+    '02/09/2026,"5"" tiles ""Grade A""",1200',
+    '03/09/2026,"Transfer to\nAda Obi",300',
+    ''
+  ].join('\n');
+  assert.deepEqual(parseCSV(text), [
+    ['Date', 'Description', 'Debit'],
+    ['01/09/2026', 'POS, Shoprite Lekki', '5000'],
+    ['02/09/2026', '5" tiles "Grade A"', '1200'],
+    ['03/09/2026', 'Transfer to\nAda Obi', '300']
+  ]);
+});
+
+test('handles CRLF, a byte-order mark, blank lines and a missing final newline', () => {
+  assert.deepEqual(parseCSV('\uFEFFDate,Amount\r\n\r\n01/09/2026,"1,200.00"\r\n,\r\n02/09/2026,50'), [
+    ['Date', 'Amount'],
+    ['01/09/2026', '1,200.00'],
+    ['02/09/2026', '50']
+  ]);
+  assert.deepEqual(parseCSV('a;b\n1;2', ';'), [['a', 'b'], ['1', '2']]);
+});
+
+test('finds the header below the account details', () => {
+  const rows = parseCSV('Account Name,ADA OBI\nAccount No,0123456789\nTrans. Date,Remarks,Debits,Credits\n01-Sep-2026,POS,500,');
+  assert.equal(detectHeaderRow(rows), 2);
+});
+
+test('reads dates day-first', () => {
+  assert.equal(parseStatementDate('03/09/2026'), '2026-09-03');
+  assert.equal(parseStatementDate('3.9.26'), '2026-09-03');
+  assert.equal(parseStatementDate('2026-09-03 14:22:10'), '2026-09-03');
+  assert.equal(parseStatementDate('03-Sep-2026'), '2026-09-03');
+  assert.equal(parseStatementDate('03 September, 2026'), '2026-09-03');
+  assert.equal(parseStatementDate('Sep 3, 2026'), '2026-09-03');
+  // Day 31 of February, and a month-first date, are not dates
+  assert.equal(parseStatementDate('31/02/2026'), null);
+  assert.equal(parseStatementDate('09/13/2026'), null);
+  assert.equal(parseStatementDate(''), null);
+});
+
+test('reads statement amounts', () => {
+  assert.equal(parseStatementAmount('(1,234.50)'), -1234.5);
+  assert.equal(parseStatementAmount('1,234.50 DR'), -1234.5);
+  assert.equal(parseStatementAmount('1,234.50 CR'), 1234.5);
+  assert.equal(parseStatementAmount('NGN 1,234.50'), 1234.5);
+  assert.equal(parseStatementAmount('₦2,000'), 2000);
+  assert.equal(parseStatementAmount('-1234.5'), -1234.5);
+  assert.equal(parseStatementAmount('-'), null);
+  assert.equal(parseStatementAmount(''), null);
+  assert.equal(parseStatementAmount('n/a'), null);
+});
+
+test('recognises each bank from its header', () => {
+  const headers = {
+    GTBank: ['Trans. Date', 'Value Date', 'Reference', 'Debits', 'Credits', 'Balance', 'Originating Branch', 'Remarks'],
+    Access: ['Posted Date', 'Value Date', 'Description', 'Withdrawals', 'Lodgements', 'Balance'],
+    Zenith: ['Date Posted', 'Value Date', 'Description', 'Dr', 'Cr', 'Balance'],
+    Opay: ['Trans. Time', 'Value Date', 'Description', 'Debit(₦)', 'Credit(₦)', 'Balance After(₦)', 'Channel', 'Transaction Reference']
+  };
+  Object.entries(headers).forEach(([bank, header]) => assert.equal(detectBank(header), bank));
+  assert.equal(detectBank(['Date', 'Amount']), null);
+
+  assert.deepEqual(matchPreset(headers.GTBank, BANK_PRESETS.GTBank), {
+    date: 'Trans. Date', description: 'Remarks', debit: 'Debits', credit: 'Credits', reference: 'Reference'
+  });
+  // Header names match whatever their case
+  assert.equal(matchPreset(['POSTED DATE', 'DESCRIPTION'], BANK_PRESETS.Access).date, 'POSTED DATE');
+});
+
+test('extracts debits and flags credits', () => {
+  const rows = parseCSV('Trans. Date,Remarks,Debits,Credits\n01-Sep-2026,POS  Shoprite,"5,000.00",\n02-Sep-2026,Salary,,"300,000.00"\nbad,row,,');
+  const entries = extractStatementRows(rows, 0, matchPreset(rows[0], BANK_PRESETS.GTBank));
+  assert.deepEqual(entries.map(e => [e.line, e.date, e.description, e.amount, e.direction, e.valid]), [
+    [2, '2026-09-01', 'POS Shoprite', 5000, 'debit', true],
+    [3, '2026-09-02', 'Salary', 300000, 'credit', true],
+    [4, null, 'row', null, 'debit', false]
+  ]);
+});
+
+const row = (description) => ({ importRef: buildImportRef('2026-09-30', 50, description) });
+
+test('keeps identical charges within one statement', () => {
+  const rows = markDuplicates([row('Stamp duty'), row('Stamp duty'), row('POS fee')], []);
+  assert.deepEqual(rows.map(r => r.duplicate), [false, false, false]);
+  assert.notEqual(rows[0].importRef, rows[1].importRef);
+});
+
+test('flags rows imported before, repeats included', () => {
+  const first = markDuplicates([row('Stamp duty'), row('Stamp duty')], []);
+  const again = markDuplicates([row('Stamp duty'), row('Stamp duty'), row('Stamp duty')], first);
+  assert.deepEqual(again.map(r => r.duplicate), [true, true, false]);
+});
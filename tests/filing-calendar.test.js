@@ -0,0 +1,34 @@
+/**
+ * TaxTrack NG - Filing Calendar tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWeeklyDigest } = require('../filing-calendar.js');
+
+const digest = (lookaheadDays, deadlines = []) => buildWeeklyDigest({
+  now: new Date(2026, 9, 19),
+  week: { total: 1500, count: 2 },
+  yearToDate: { total: 42000 },
+  yearLabel: '2026',
+  deadlines,
+  lookaheadDays,
+  formatMoney: n => `₦${n}`
+});
+
+test('says how far ahead it looked when nothing is due', () => {
+  assert.match(digest(14).body, /No filing deadlines in the next 2 weeks\.$/);
+  assert.match(digest(7).body, /No filing deadlines in the next week\.$/);
+  assert.match(digest(10).body, /No filing deadlines in the next 10 days\.$/);
+});
+
+test('lists overdue and upcoming deadlines', () => {
+  const result = digest(14, [
+    { title: 'VAT return', period: 'Sep 2026', dueDate: new Date(2026, 9, 21), status: 'due-soon' },
+    { title: 'PAYE remittance', period: 'Sep 2026', dueDate: new Date(2026, 9, 10), status: 'overdue' }
+  ]);
+  assert.equal(result.title, 'Weekly tax digest: 1 overdue');
+  assert.match(result.body, /Overdue:\n- PAYE remittance \(Sep 2026\)/);
+  assert.match(result.body, /Coming up:\n- VAT return \(Sep 2026\)/);
+});
@@ -0,0 +1,98 @@
+/**
+ * TaxTrack NG - PDF Fixtures
+ * Builds small PDFs for the pdf-text tests: plain or Flate streams, fonts inside an object stream, and Type0 fonts with a ToUnicode map
+ */
+
+const zlib = require('zlib');
+
+// Text drawn with the Type0 font is written as two-byte glyph ids; the
+// CMap maps id n to the nth distinct character.
+function glyphIds(text) {
+  const chars = [...new Set(text)];
+  return {
+    chars,
+    hex: [...text].map(c => (chars.indexOf(c) + 1).toString(16).padStart(4, '0')).join('')
+  };
+}
+
+function toUnicodeCMap(chars) {
+  const hex = (n) => n.toString(16).padStart(4, '0');
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    `${chars.length} beginbfchar`,
+    ...chars.map((c, i) => `<${hex(i + 1)}> <${hex(c.charCodeAt(0))}>`),
+    'endbfchar',
+    'endcmap',
+    'end end'
+  ].join('\n');
+}
+
+// `lines` are drawn one per line in the Type1 font; an array entry is two
+// columns of one line. `cidLine`, if given, is drawn last in the Type0 font.
+// Options: `flate` compresses the streams, `objectStream` moves the fonts
+// into a compressed object stream, `raw` replaces the content stream.
+function buildPDF(lines, { cidLine = '', flate = true, objectStream = false, raw = null } = {}) {
+  const escape = (s) => s.replace(/([()\\])/g, '\\$1');
+  let content = raw;
+  let cmap = '';
+  if (content === null) {
+    content = 'BT /F1 10 Tf 14 TL 50 800 Td\n';
+    lines.forEach((line) => {
+      content += Array.isArray(line)
+        ? `[(${escape(line[0])}) -3000 (${escape(line[1])})] TJ T*\n`
+        : `(${escape(line)}) Tj T*\n`;
+    });
+    if (cidLine) {
+      const { chars, hex } = glyphIds(cidLine);
+      content += `/F2 10 Tf <${hex}> Tj\n`;
+      cmap = toUnicodeCMap(chars);
+    }
+    content += 'ET';
+  }
+
+  const stream = (text, extra = '') => {
+    const data = flate ? zlib.deflateSync(Buffer.from(text, 'latin1')) : Buffer.from(text, 'latin1');
+    return { dict: `<< /Length ${data.length}${flate ? ' /Filter /FlateDecode' : ''}${extra} >>`, data };
+  };
+
+  const fonts = [
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    '<< /Type /Font /Subtype /Type0 /BaseFont /Arial /Encoding /Identity-H /ToUnicode 7 0 R >>'
+  ];
+  const objects = {
+    1: '<< /Type /Catalog /Pages 2 0 R >>',
+    2: '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    3: '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    6: stream(content),
+    7: stream(cmap)
+  };
+  if (objectStream) {
+    // "num offset" pairs, then the objects
+    const body = fonts.join('\n');
+    const header = `4 0 5 ${fonts[0].length + 1} `;
+    objects[8] = stream(header + body, ` /Type /ObjStm /N 2 /First ${header.length}`);
+  } else {
+    objects[4] = fonts[0];
+    objects[5] = fonts[1];
+  }
+
+  const parts = [Buffer.from('%PDF-1.7\n')];
+  Object.keys(objects).forEach((num) => {
+    const object = objects[num];
+    if (typeof object === 'string') {
+      parts.push(Buffer.from(`${num} 0 obj\n${object}\nendobj\n`));
+    } else {
+      parts.push(Buffer.from(`${num} 0 obj\n${object.dict}\nstream\n`), object.data, Buffer.from('\nendstream\nendobj\n'));
+    }
+  });
+  parts.push(Buffer.from('trailer\n<< /Root 1 0 R >>\n%%EOF\n'));
+  const bytes = Buffer.concat(parts);
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+}
+
+module.exports = { buildPDF };
@@ -0,0 +1,87 @@
+/**
+ * TaxTrack NG - PAYE Rules tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPAYERules, getPAYETaxYears, computePAYE } = require('../paye-rules.js');
+
+test('picks the rules in force for the tax year', () => {
+  assert.equal(getPAYERules(2025).id, 'PITA-2011');
+  assert.equal(getPAYERules(2026).id, 'NTA-2025');
+  assert.equal(getPAYERules('2030').id, 'NTA-2025');
+  // Years before the first rule set use the oldest one
+  assert.equal(getPAYERules(2005).id, 'PITA-2011');
+
+  const years = getPAYETaxYears(new Date(2026, 9, 19));
+  assert.deepEqual(years.map(y => y.year), [2026, 2025, 2024, 2023, 2022, 2021]);
+  assert.equal(years[0].label, 'Nigeria Tax Act 2025');
+});
+
+test('gives PITA the consolidated relief allowance', () => {
+  // The higher of ₦200,000 or 1% of gross, plus 20% of gross
+  assert.equal(computePAYE(5000000, {}, 2025).reliefs.cra, 1200000);
+  assert.equal(computePAYE(30000000, {}, 2025).reliefs.cra, 6300000);
+  assert.equal(computePAYE(5000000, {}, 2026).reliefs.cra, 0);
+});
+
+test('taxes ₦5M under PITA', () => {
+  const result = computePAYE(5000000, {}, 2025);
+  assert.equal(result.taxableIncome, 3800000);
+  assert.deepEqual(result.bands.map(b => b.tax), [21000, 33000, 75000, 95000, 336000, 144000]);
+  assert.equal(result.minimumTaxApplied, false);
+  assert.equal(result.annualTax, 704000);
+  assert.equal(result.monthlyTax, 58666.67);
+  assert.equal(result.effectiveRate, 14.08);
+});
+
+test('charges the 1% minimum tax when the bands come to less', () => {
+  const result = computePAYE(300000, {}, 2025);
+  assert.equal(result.taxableIncome, 40000);
+  assert.equal(result.bands[0].tax, 2800);
+  assert.equal(result.minimumTaxApplied, true);
+  assert.equal(result.annualTax, 3000);
+
+  // The 2026 rules have no minimum tax
+  const exempt = computePAYE(800000, {}, 2026);
+  assert.equal(exempt.minimumTaxApplied, false);
+  assert.equal(exempt.annualTax, 0);
+});
+
+test('taxes ₦5M under the 2026 bands with rent relief', () => {
+  const result = computePAYE(5000000, { pension: 400000, rent: 1000000 }, 2026);
+  assert.equal(result.rules, 'Nigeria Tax Act 2025');
+  assert.equal(result.reliefs.rent, 200000);
+  assert.equal(result.reliefs.total, 600000);
+  assert.equal(result.taxableIncome, 4400000);
+  assert.deepEqual(result.bands.map(b => b.tax), [0, 330000, 252000, 0, 0, 0]);
+  assert.equal(result.annualTax, 582000);
+});
+
+test('reaches the top 2026 band', () => {
+  const result = computePAYE(60000000, {}, 2026);
+  assert.deepEqual(result.bands.map(b => [b.from, b.to, b.taxable]), [
+    [0, 800000, 800000],
+    [800000, 3000000, 2200000],
+    [3000000, 12000000, 9000000],
+    [12000000, 25000000, 13000000],
+    [25000000, 50000000, 25000000],
+    [50000000, null, 10000000]
+  ]);
+  assert.equal(result.annualTax, 12930000);
+});
+
+test('caps rent relief at ₦500,000 and ignores rent before 2026', () => {
+  assert.equal(computePAYE(10000000, { rent: 2500000 }, 2026).reliefs.rent, 500000);
+  assert.equal(computePAYE(10000000, { rent: 5000000 }, 2026).reliefs.rent, 500000);
+  assert.equal(computePAYE(10000000, { rent: 5000000 }, 2025).reliefs.rent, 0);
+});
+
+test('treats missing and negative amounts as zero', () => {
+  const result = computePAYE('abc', { pension: -5000, nhf: 'x' }, 2026);
+  assert.equal(result.grossIncome, 0);
+  assert.equal(result.reliefs.total, 0);
+  assert.equal(result.annualTax, 0);
+  assert.equal(result.effectiveRate, 0);
+});
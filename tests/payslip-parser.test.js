@@ -0,0 +1,66 @@
+/**
+ * TaxTrack NG - Payslip Parser tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePayslipText } = require('../payslip-parser.js');
+
+const amounts = (result) => Object.fromEntries(
+  ['gross', 'basic', 'pension', 'nhf', 'nhis', 'paye', 'totalDeductions', 'net']
+    .map(key => [key, result[key] ? result[key].amount : null])
+);
+
+test('reads a two-column payslip', () => {
+  const result = parsePayslipText([
+    'Acme Nigeria Limited',
+    'PAYSLIP',
+    'Employee: Ada Obi Staff No: 10023456',
+    'Pay Period: March 2026',
+    'Basic Salary 250,000.00 Pension 24,000.00',
+    'Housing 100,000.00 NHF 6,250.00',
+    'Transport 50,000.00 PAYE 31,500.00',
+    'Gross Pay 400,000.00 Total Deductions 61,750.00',
+    'Employer Pension 40,000.00',
+    'Net Pay 338,250.00'
+  ].join('\n'));
+
+  assert.equal(result.employer.value, 'Acme Nigeria Limited');
+  assert.equal(result.period.value, '2026-03');
+  assert.deepEqual(amounts(result), {
+    gross: 400000, basic: 250000, pension: 24000, nhf: 6250, nhis: null, paye: 31500, totalDeductions: 61750, net: 338250
+  });
+  // Gross - deductions = net, so all three are trusted
+  assert.equal(result.net.confidence, 0.99);
+});
+
+test('takes the current column, not year-to-date', () => {
+  const result = parsePayslipText([
+    'Company: Bright Foods Plc',
+    'Month: 11/2025',
+    'Gross Pay 300,000.00 600,000.00',
+    'PAYE 20,000.00 40,000.00',
+    'NHIS 1,500.00 3,000.00',
+    'Net Pay 278,500.00'
+  ].join('\n'));
+
+  assert.equal(result.employer.value, 'Bright Foods Plc');
+  assert.equal(result.period.value, '2025-11');
+  assert.equal(result.gross.amount, 300000);
+  assert.equal(result.paye.amount, 20000);
+  assert.equal(result.nhis.amount, 1500);
+});
+
+test('ignores percentages and fills gross from net and deductions', () => {
+  const result = parsePayslipText([
+    'for the month of Jan, 2026',
+    'Pension 8% 16,000.00',
+    'Total Deductions 36,000.00',
+    'Net Pay 164,000.00'
+  ].join('\n'));
+
+  assert.equal(result.period.value, '2026-01');
+  assert.equal(result.pension.amount, 16000);
+  assert.equal(result.gross.amount, 200000);
+});
@@ -0,0 +1,72 @@
+/**
+ * TaxTrack NG - PDF Text tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPDFText, parseToUnicode, contentText } = require('../pdf-text.js');
+const { buildPDF } = require('./fixtures/pdf.js');
+
+const PAYSLIP_LINES = [
+  'Acme Nigeria Limited',
+  'Pay Period: March 2026',
+  ['Basic Salary 250,000.00', 'Pension 24,000.00'],
+  ['Gross Pay 400,000.00', 'Total Deductions 61,750.00']
+];
+const PAYSLIP_TEXT = [
+  'Acme Nigeria Limited',
+  'Pay Period: March 2026',
+  'Basic Salary 250,000.00 Pension 24,000.00',
+  'Gross Pay 400,000.00 Total Deductions 61,750.00'
+].join('\n');
+
+test('reads uncompressed content streams', async () => {
+  const result = await extractPDFText(buildPDF(PAYSLIP_LINES, { flate: false }));
+  assert.deepEqual(result, { text: PAYSLIP_TEXT, pages: 1 });
+});
+
+test('inflates Flate streams', async () => {
+  const result = await extractPDFText(buildPDF(PAYSLIP_LINES));
+  assert.equal(result.text, PAYSLIP_TEXT);
+});
+
+test('finds fonts inside a compressed object stream', async () => {
+  const result = await extractPDFText(buildPDF(PAYSLIP_LINES, { objectStream: true, cidLine: 'Net Pay 338,250.00' }));
+  assert.equal(result.text, `${PAYSLIP_TEXT}\nNet Pay 338,250.00`);
+});
+
+test('maps Type0 glyph ids through the ToUnicode CMap', async () => {
+  const result = await extractPDFText(buildPDF([], { cidLine: 'PAYE ₦31,500' }));
+  assert.equal(result.text, 'PAYE ₦31,500');
+});
+
+test('parses bfrange entries, including arrays', () => {
+  const { bytes, map } = parseToUnicode([
+    'begincodespacerange <00> <FF> endcodespacerange',
+    '2 beginbfrange',
+    '<20> <22> <0041>',
+    '<30> <31> [<0061> <0062>]',
+    'endbfrange'
+  ].join('\n'));
+  assert.equal(bytes, 1);
+  assert.deepEqual([map.get(0x20), map.get(0x22), map.get(0x30), map.get(0x31)], ['A', 'C', 'a', 'b']);
+});
+
+test('rejects files that are not PDFs, and encrypted PDFs', async () => {
+  assert.match((await extractPDFText(new TextEncoder().encode('hello').buffer)).error, /not a PDF/);
+  const encrypted = new TextEncoder().encode('%PDF-1.4\ntrailer\n<< /Encrypt 9 0 R >>').buffer;
+  assert.match((await extractPDFText(encrypted)).error, /password-protected/);
+});
+
+test('breaks lines when the baseline moves', () => {
+  assert.deepEqual(contentText('BT /F1 12 Tf (a) Tj 0 -14 Td (b) Tj ET', {}), ['a', 'b']);
+  assert.deepEqual(contentText('BT 50 800 Td (a) Tj ET BT 300 800 Td (b) Tj ET', {}), ['a b']);
+});
+
+test('survives malformed content streams', () => {
+  // An unterminated hex string used to restart the scan and loop forever
+  assert.deepEqual(contentText('BT (x) Tj <4142', {}), ['x']);
+  assert.deepEqual(contentText('/Span << /A << /B 1 >> >> BDC BT (y) Tj ET EMC', {}), ['y']);
+  assert.deepEqual(contentText('BT ) (z) Tj > (w) Tj ET', {}), ['zw']);
+});
@@ -0,0 +1,41 @@
+/**
+ * TaxTrack NG - Receipt Parser tests
+ * Run with: node --test tests/
+ *
+ * Each fixture in fixtures/receipts is OCR text as Tesseract returns it;
+ * expected.json holds what the parser should read from it. `items` is
+ * checked only where listed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseReceiptText } = require('../receipt-parser.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'receipts');
+const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'expected.json'), 'utf8'));
+const amount = (field) => (field ? field.amount : null);
+
+Object.entries(expected).forEach(([file, want]) => {
+  test(`reads ${file}`, () => {
+    const result = parseReceiptText(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+    assert.equal(result.merchant && result.merchant.value, want.merchant, 'merchant');
+    assert.equal(result.date && result.date.value, want.date, 'date');
+    assert.equal(amount(result.subtotal), want.subtotal, 'subtotal');
+    assert.equal(amount(result.vat), want.vat, 'VAT');
+    assert.equal(result.vat ? result.vat.rate : null, want.vatRate, 'VAT rate');
+    assert.equal(amount(result.total), want.total, 'total');
+    if (want.items) assert.deepEqual(result.items.map(item => item.amount), want.items, 'items');
+  });
+});
+
+test('trusts subtotal, VAT and total that add up', () => {
+  const result = parseReceiptText(fs.readFileSync(path.join(FIXTURES, 'shoprite.txt'), 'utf8'));
+  assert.equal(result.total.confidence, 0.99);
+  assert.equal(result.vat.confidence, 0.99);
+});
+
+test('returns empty fields for empty text', () => {
+  assert.deepEqual(parseReceiptText(''), { merchant: null, date: null, items: [], subtotal: null, vat: null, total: null });
+});
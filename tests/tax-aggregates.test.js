@@ -0,0 +1,76 @@
+/**
+ * TaxTrack NG - Tax Aggregates tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isTaxTransaction, groupKey, filterTransactions, summarizeByType, aggregateByMonth, cumulativeTotals, breakdownBy
+} = require('../tax-aggregates.js');
+
+const TRANSACTIONS = [
+  { type: 'PAYE', date: '2026-01-31T09:00:00', taxAmount: 58000 },
+  { type: 'VAT', date: '2026-01-05T10:00:00', taxAmount: 750.1, vendor: 'Shoprite', category: 'Groceries' },
+  { type: 'VAT', date: '2026-01-20T10:00:00', taxAmount: 0.2, vendor: 'Shoprite', category: 'Groceries' },
+  { type: 'Consumption', date: '2026-02-14T20:00:00', amount: 1250, vendor: 'Yellow Chilli', category: 'Dining' },
+  { type: 'VAT', date: '2026-03-01T00:00:00', taxAmount: 300, vendor: '  ', category: '' },
+  { type: 'PAYE', date: '2025-12-31T23:59:00', taxAmount: 55000 }
+];
+
+test('stacks each month’s tax by type', () => {
+  const months = aggregateByMonth(TRANSACTIONS, new Date(2026, 0, 1), 4);
+  assert.equal(months.length, 4);
+  assert.deepEqual(months.map(m => [m.paye, m.vat, m.consumption, m.total, m.count]), [
+    [58000, 750.3, 0, 58750.3, 3],
+    [0, 0, 1250, 1250, 1],
+    [0, 300, 0, 300, 1],
+    [0, 0, 0, 0, 0]
+  ]);
+  assert.deepEqual([months[0].start, months[0].end], [new Date(2026, 0, 1), new Date(2026, 1, 1)]);
+  // A start mid-month still buckets by calendar month
+  assert.deepEqual(aggregateByMonth(TRANSACTIONS, new Date(2025, 11, 20), 2).map(m => m.total), [55000, 58750.3]);
+});
+
+test('runs the year-to-date total up to the current month', () => {
+  const months = aggregateByMonth(TRANSACTIONS, new Date(2026, 0, 1), 6);
+  assert.deepEqual(cumulativeTotals(months, new Date(2026, 2, 15)), [58750.3, 60000.3, 60300.3, null, null, null]);
+  // A month counts from its first day
+  assert.deepEqual(cumulativeTotals(months, new Date(2026, 3, 1)), [58750.3, 60000.3, 60300.3, 60300.3, null, null]);
+  assert.deepEqual(cumulativeTotals([], new Date(2026, 2, 15)), []);
+});
+
+test('groups by category and vendor, largest first, with blanks labelled', () => {
+  const tax = TRANSACTIONS.filter(tx => tx.type !== 'PAYE');
+  assert.deepEqual(breakdownBy(tax, 'category'), [
+    { key: 'Dining', amount: 1250, count: 1 },
+    { key: 'Groceries', amount: 750.3, count: 2 },
+    { key: 'Other', amount: 300, count: 1 }
+  ]);
+  assert.deepEqual(breakdownBy(tax, 'vendor').map(g => g.key), ['Yellow Chilli', 'Shoprite', 'Unknown vendor']);
+  assert.equal(groupKey({ vendor: '  ' }, 'vendor'), 'Unknown vendor');
+  assert.equal(groupKey({}, 'region'), 'Other');
+});
+
+test('folds groups beyond the limit into one remainder', () => {
+  const many = [100, 90, 80, 70, 60].map((taxAmount, i) => ({ type: 'VAT', taxAmount, vendor: `Vendor ${i}` }));
+  assert.deepEqual(breakdownBy(many, 'vendor', 3), [
+    { key: 'Vendor 0', amount: 100, count: 1 },
+    { key: 'Vendor 1', amount: 90, count: 1 },
+    { key: 'Vendor 2', amount: 80, count: 1 },
+    { key: null, label: '2 more', amount: 130, count: 2 }
+  ]);
+  assert.equal(breakdownBy(many, 'vendor', 5).length, 5);
+});
+
+test('filters with an inclusive start and exclusive end', () => {
+  const filtered = filterTransactions(TRANSACTIONS, { type: 'VAT', start: new Date(2026, 0, 20, 10), end: new Date(2026, 2, 1) });
+  assert.deepEqual(filtered.map(tx => tx.taxAmount), [0.2]);
+  assert.equal(filterTransactions(TRANSACTIONS, { vendor: 'Unknown vendor', type: 'VAT' }).length, 1);
+});
+
+test('leaves business income and expenses out of tax totals', () => {
+  const ledger = [{ type: 'Income', amount: 500000 }, { type: 'Expense', amount: 20000 }, { type: 'VAT', taxAmount: 75 }];
+  assert.deepEqual(ledger.map(isTaxTransaction), [false, false, true]);
+  assert.deepEqual(summarizeByType(ledger.filter(isTaxTransaction)), { paye: 0, vat: 75, consumption: 0, total: 75, count: 1 });
+});
@@ -0,0 +1,23 @@
+/**
+ * TaxTrack NG - Tax Report tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell } = require('../tax-report.js');
+
+test('quotes cells with commas, quotes and line breaks', () => {
+  assert.equal(csvCell('Shoprite, Lekki'), '"Shoprite, Lekki"');
+  assert.equal(csvCell('5" tiles'), '"5"" tiles"');
+  assert.equal(csvCell(null), '');
+});
+
+test('stops text being read as a spreadsheet formula', () => {
+  assert.equal(csvCell('=HYPERLINK("http://x.test","Refund")'), '"\'=HYPERLINK(""http://x.test"",""Refund"")"');
+  assert.equal(csvCell('+2348012345678'), '\'+2348012345678');
+  assert.equal(csvCell('-POS charge'), '\'-POS charge');
+  assert.equal(csvCell('@SUM(A1)'), '\'@SUM(A1)');
+  assert.equal(csvCell(-500), '-500');
+  assert.equal(csvCell('POS charge'), 'POS charge');
+});
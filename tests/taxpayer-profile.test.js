@@ -0,0 +1,45 @@
+/**
+ * TaxTrack NG - Taxpayer Profile tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTIN, isLegacyTaxId, validateProfile } = require('../taxpayer-profile.js');
+
+test('accepts both TIN formats and returns them in canonical form', () => {
+  assert.deepEqual(validateTIN('2345678909'), { valid: true, tin: '2345678909', kind: 'JTB' });
+  assert.deepEqual(validateTIN('12345679 0001'), { valid: true, tin: '12345679-0001', kind: 'FIRS' });
+  assert.deepEqual(validateTIN('12345679-0001'), { valid: true, tin: '12345679-0001', kind: 'FIRS' });
+});
+
+test('rejects malformed TINs', () => {
+  assert.equal(validateTIN('').valid, false);
+  assert.equal(validateTIN('12345').valid, false);
+  assert.equal(validateTIN('1234567-0001').valid, false);
+  assert.equal(validateTIN('0000000000').valid, false);
+});
+
+test('treats the old made-up NNN-NN-NNNN IDs as no TIN', () => {
+  assert.equal(isLegacyTaxId('123-45-6789'), true);
+  assert.equal(isLegacyTaxId('12345679-0001'), false);
+  assert.equal(isLegacyTaxId(''), false);
+
+  // Saving any other field clears the placeholder instead of failing
+  const { profile, errors } = validateProfile({ firstName: 'Ada', taxId: '123-45-6789' });
+  assert.deepEqual(errors, {});
+  assert.equal(profile.taxId, '');
+});
+
+test('warns about, but accepts, a TIN whose check digit does not match', () => {
+  const result = validateTIN('2345678901');
+  assert.equal(result.valid, true);
+  assert.equal(result.tin, '2345678901');
+  assert.match(result.warning, /Check it against your FIRS\/JTB registration/);
+  assert.equal(validateTIN('2345678909').warning, undefined);
+
+  const { profile, errors, warnings } = validateProfile({ taxId: '2345678901' });
+  assert.deepEqual(errors, {});
+  assert.equal(profile.taxId, '2345678901');
+  assert.ok(warnings.taxId);
+});
@@ -0,0 +1,109 @@
+/**
+ * TaxTrack NG - Transaction Query tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// transaction-query.js uses tax-aggregates.js's helpers, loaded before it on the page
+const { groupKey, taxAmountOf } = require('../tax-aggregates.js');
+Object.assign(global, { groupKey, taxAmountOf });
+const {
+  DEFAULT_HISTORY_QUERY, normalizeHistoryQuery, hasHistoryFilters, queryTransactions,
+  serializeHistoryQuery, parseHistoryQuery, historyQueryFromFilter
+} = require('../transaction-query.js');
+
+const TRANSACTIONS = [
+  { id: 'a', type: 'VAT', source: 'Receipt', date: '2026-09-01T10:00:00', taxAmount: 750, details: 'Shoprite groceries', vendor: 'Shoprite', category: 'Groceries' },
+  { id: 'b', type: 'PAYE', source: 'Payslip', date: '2026-09-30T09:00:00', taxAmount: 58000, details: 'September salary', vendor: '', category: '' },
+  { id: 'c', type: 'VAT', source: 'Manual', date: '2026-09-15T18:30:00', taxAmount: 750, details: 'Fuel', vendor: 'Total', category: 'Transport' },
+  { id: 'd', type: 'Consumption', source: 'Manual', date: '2026-08-20T20:00:00', amount: 1250, details: 'Dinner at Yellow Chilli', vendor: 'Yellow Chilli', category: 'Dining' },
+  { id: 'e', type: 'VAT', source: 'CSV', date: '2026-09-15T08:00:00', taxAmount: 75, details: 'POS shoprite snacks', vendor: 'Shoprite', category: 'Groceries' }
+];
+
+const ids = (result) => result.rows.map(tx => tx.id);
+
+test('filters by type, source, category and vendor', () => {
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { type: 'VAT' })), ['c', 'e', 'a']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { source: 'Manual' })), ['c', 'd']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { category: 'Groceries' })), ['e', 'a']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { vendor: 'Shoprite', type: 'VAT' })), ['e', 'a']);
+  // Blank category and vendor match their chart labels
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { category: 'Other' })), ['b']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { vendor: 'Unknown vendor' })), ['b']);
+});
+
+test('filters by inclusive day range and tax amount', () => {
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { from: '2026-09-15', to: '2026-09-15' })), ['c', 'e']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { to: '2026-09-01' })), ['a', 'd']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { min: 750, max: 1250 })), ['c', 'a', 'd']);
+  // `amount` stands in for `taxAmount` on older entries
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { min: '1000', max: '2000' })), ['d']);
+  assert.equal(queryTransactions(TRANSACTIONS, { min: 0 }).total, 5);
+});
+
+test('needs every search word, in any case, across details, vendor and category', () => {
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { q: 'shoprite' })), ['e', 'a']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { q: '  SHOPRITE   snacks ' })), ['e']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { q: 'dining chilli' })), ['d']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { q: 'shoprite fuel' })), []);
+});
+
+test('sorts stably, keeping the original order of ties', () => {
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { sort: 'amount', dir: 'desc' })), ['b', 'd', 'a', 'c', 'e']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { sort: 'amount', dir: 'asc' })), ['e', 'a', 'c', 'd', 'b']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { sort: 'type' })), ['d', 'b', 'a', 'c', 'e']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { sort: 'details' })), ['d', 'c', 'e', 'b', 'a']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, { sort: 'date', dir: 'asc' })), ['d', 'a', 'e', 'c', 'b']);
+});
+
+test('pages through the matches and clamps the page number', () => {
+  const many = Array.from({ length: 60 }, (_, i) => ({ id: i, type: 'VAT', date: '2026-09-01T10:00:00', taxAmount: i }));
+  const first = queryTransactions(many, { sort: 'amount', dir: 'asc', size: 25 });
+  assert.deepEqual([first.page, first.pages, first.first, first.last, first.total], [1, 3, 1, 25, 60]);
+  assert.equal(first.matches.length, 60);
+
+  const last = queryTransactions(many, { sort: 'amount', dir: 'asc', size: 25, page: 3 });
+  assert.deepEqual([last.page, last.first, last.last], [3, 51, 60]);
+  assert.deepEqual(last.rows.map(tx => tx.id), Array.from({ length: 10 }, (_, i) => 50 + i));
+
+  assert.equal(queryTransactions(many, { size: 25, page: 99 }).page, 3);
+  assert.equal(queryTransactions(many, { size: 25, page: -4 }).page, 1);
+  assert.equal(queryTransactions(many, { size: 25, page: 'two' }).page, 1);
+
+  const none = queryTransactions(many, { q: 'nothing' });
+  assert.deepEqual([none.page, none.pages, none.first, none.last, none.total], [1, 1, 0, 0, 0]);
+});
+
+test('round-trips a query through the URL hash', () => {
+  const query = normalizeHistoryQuery({
+    q: 'shoprite & co', type: 'VAT', vendor: 'Shoprite', from: '2026-09-01', to: '2026-09-30',
+    min: '50', sort: 'amount', dir: 'asc', page: 2, size: 100
+  });
+  const hash = serializeHistoryQuery(query);
+  assert.deepEqual(parseHistoryQuery(`#${hash}`), query);
+  assert.deepEqual(parseHistoryQuery(`?${hash}`), query);
+
+  // Defaults are left out, including a column's own starting direction
+  assert.equal(serializeHistoryQuery({}), '');
+  assert.equal(serializeHistoryQuery({ sort: 'type', dir: 'asc' }), 'sort=type');
+  assert.equal(serializeHistoryQuery({ sort: 'type', dir: 'desc' }), 'sort=type&dir=desc');
+  assert.deepEqual(parseHistoryQuery(''), DEFAULT_HISTORY_QUERY);
+});
+
+test('drops malformed values from a hand-edited hash', () => {
+  const q = parseHistoryQuery('#from=01/09/2026&to=2026-9-30&min=-5&max=lots&sort=__proto__&dir=up&size=7&page=2.7');
+  assert.deepEqual(q, { ...DEFAULT_HISTORY_QUERY, page: 2 });
+  assert.equal(hasHistoryFilters(q), false);
+  assert.equal(parseHistoryQuery('#sort=constructor').sort, 'date');
+
+  const edited = parseHistoryQuery('#sort=details&page=0&size=250&q=%20fuel%20');
+  assert.deepEqual([edited.sort, edited.dir, edited.page, edited.size, edited.q], ['details', 'asc', 1, 250, 'fuel']);
+  assert.equal(hasHistoryFilters(edited), true);
+});
+
+test('turns a chart drill-down into an inclusive day range', () => {
+  const query = historyQueryFromFilter({ type: 'VAT', category: 'Groceries', start: new Date(2026, 8, 1), end: new Date(2026, 9, 1) });
+  assert.deepEqual([query.type, query.category, query.from, query.to], ['VAT', 'Groceries', '2026-09-01', '2026-09-30']);
+  assert.deepEqual(ids(queryTransactions(TRANSACTIONS, query)), ['e', 'a']);
+});
@@ -0,0 +1,171 @@
+/**
+ * TaxTrack NG - Transaction Query
+ * Search, filters, sorting and paging for the history table, and the URL hash form of a query
+ */
+
+// ============================================
+// Query Shape
+// ============================================
+// `from` and `to` are inclusive YYYY-MM-DD days; `min` and `max` bound the
+// tax amount. `category` and `vendor` come from chart drill-downs.
+const DEFAULT_HISTORY_QUERY = {
+  q: '',
+  type: '',
+  source: '',
+  category: '',
+  vendor: '',
+  from: '',
+  to: '',
+  min: '',
+  max: '',
+  sort: 'date',
+  dir: 'desc',
+  page: 1,
+  size: 50
+};
+
+const HISTORY_PAGE_SIZES = [25, 50, 100, 250];
+
+// Sort keys, and the direction a column starts in when first clicked
+const HISTORY_SORTS = {
+  date: { value: tx => new Date(tx.date).getTime(), dir: 'desc' },
+  type: { value: tx => tx.type, dir: 'asc' },
+  amount: { value: tx => taxAmountOf(tx), dir: 'desc' },
+  details: { value: tx => String(tx.details || '').toLowerCase(), dir: 'asc' }
+};
+
+// Filters that narrow the list (as opposed to sort and paging)
+const HISTORY_FILTER_KEYS = ['q', 'type', 'source', 'category', 'vendor', 'from', 'to', 'min', 'max'];
+
+function dayKey(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Fills in defaults and drops anything malformed (hand-edited hashes)
+function normalizeHistoryQuery(query = {}) {
+  const q = { ...DEFAULT_HISTORY_QUERY };
+  ['q', 'type', 'source', 'category', 'vendor'].forEach(key => {
+    if (query[key] !== undefined && query[key] !== null) q[key] = String(query[key]).trim();
+  });
+  ['from', 'to'].forEach(key => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(query[key] || '')) q[key] = query[key];
+  });
+  ['min', 'max'].forEach(key => {
+    if (query[key] !== '' && query[key] !== undefined && query[key] !== null && Number(query[key]) >= 0) q[key] = String(Number(query[key]));
+  });
+  if (Object.prototype.hasOwnProperty.call(HISTORY_SORTS, query.sort)) q.sort = query.sort;
+  q.dir = query.dir === 'asc' || query.dir === 'desc' ? query.dir : HISTORY_SORTS[q.sort].dir;
+  if (HISTORY_PAGE_SIZES.includes(Number(query.size))) q.size = Number(query.size);
+  q.page = Math.max(1, Math.floor(Number(query.page)) || 1);
+  return q;
+}
+
+function hasHistoryFilters(query) {
+  return HISTORY_FILTER_KEYS.some(key => query[key] !== '' && query[key] !== undefined && query[key] !== null);
+}
+
+// ============================================
+// Running a Query
+// ============================================
+// Every search word must appear in the details, vendor or category
+function matchesText(tx, words) {
+  const haystack = `${tx.details || ''} ${tx.vendor || ''} ${tx.category || ''}`.toLowerCase();
+  return words.every(word => haystack.includes(word));
+}
+
+// Returns { rows, matches, total, page, pages, first, last }: `rows` is the
+// requested page, `matches` every match in order, `first`/`last` are
+// 1-based positions of the page within the matches.
+function queryTransactions(transactions, query = {}) {
+  const q = normalizeHistoryQuery(query);
+  const words = q.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const min = q.min === '' ? null : Number(q.min);
+  const max = q.max === '' ? null : Number(q.max);
+
+  const matches = transactions.filter(tx => {
+    if (q.type && tx.type !== q.type) return false;
+    if (q.source && tx.source !== q.source) return false;
+    if (q.category && groupKey(tx, 'category') !== q.category) return false;
+    if (q.vendor && groupKey(tx, 'vendor') !== q.vendor) return false;
+    if (q.from || q.to) {
+      const day = dayKey(tx.date);
+      if (q.from && day < q.from) return false;
+      if (q.to && day > q.to) return false;
+    }
+    if (min !== null || max !== null) {
+      const amount = taxAmountOf(tx);
+      if (min !== null && amount < min) return false;
+      if (max !== null && amount > max) return false;
+    }
+    return !words.length || matchesText(tx, words);
+  });
+
+  // Values are read once per row rather than on every comparison
+  const sortValue = HISTORY_SORTS[q.sort].value;
+  const sign = q.dir === 'asc' ? 1 : -1;
+  const sorted = matches
+    .map((tx, index) => ({ tx, index, value: sortValue(tx) }))
+    .sort((a, b) => {
+      if (a.value < b.value) return -sign;
+      if (a.value > b.value) return sign;
+      return a.index - b.index;
+    })
+    .map(entry => entry.tx);
+
+  const pages = Math.max(1, Math.ceil(sorted.length / q.size));
+  const page = Math.min(q.page, pages);
+  const start = (page - 1) * q.size;
+  const rows = sorted.slice(start, start + q.size);
+  return {
+    rows,
+    matches: sorted,
+    total: sorted.length,
+    page,
+    pages,
+    first: rows.length ? start + 1 : 0,
+    last: start + rows.length
+  };
+}
+
+// ============================================
+// URL Hash
+// ============================================
+// Only values that differ from the defaults are written, so an unfiltered
+// history is just "#history".
+function serializeHistoryQuery(query) {
+  const q = normalizeHistoryQuery(query);
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_HISTORY_QUERY).forEach(key => {
+    // A direction is only written when it differs from the column's own
+    if (key === 'dir') {
+      if (q.dir !== HISTORY_SORTS[q.sort].dir) params.set(key, q.dir);
+      return;
+    }
+    if (String(q[key]) !== String(DEFAULT_HISTORY_QUERY[key])) params.set(key, q[key]);
+  });
+  return params.toString();
+}
+
+function parseHistoryQuery(text) {
+  const params = new URLSearchParams(String(text || '').replace(/^[#?]/, ''));
+  return normalizeHistoryQuery(Object.fromEntries(params.entries()));
+}
+
+// Converts a drill-down filter ({ type, category, vendor, start, end } with
+// an exclusive `end`) into query fields
+function historyQueryFromFilter(filter = {}) {
+  const query = {};
+  ['type', 'category', 'vendor'].forEach(key => { if (filter[key]) query[key] = filter[key]; });
+  if (filter.start) query.from = dayKey(filter.start);
+  if (filter.end) query.to = dayKey(new Date(new Date(filter.end).getTime() - 1));
+  return normalizeHistoryQuery(query);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_HISTORY_QUERY, HISTORY_PAGE_SIZES, HISTORY_SORTS, normalizeHistoryQuery, hasHistoryFilters,
+    queryTransactions, serializeHistoryQuery, parseHistoryQuery, historyQueryFromFilter
+  };
+}